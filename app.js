@@ -1,5 +1,9 @@
 // app.js (ESM)
-import * as pdfjsLib from "https://unpkg.com/pdfjs-dist@4.6.82/build/pdf.min.mjs";
+import * as pdfjsLib from "./vendor/pdfjs/pdf.min.mjs";
+import { applyClauseMapping, compareRuns, compileClauseRules, compileIgnoreRegexes, compileNormalization, diffClauseText, diffKey, DOCUMENT_RE, editionsFromProfile, extractText, isCriticalRef, mappingIsEmpty, markNormalizedParts, markSemanticParts, META_FIELDS, NORMALIZE_STEPS, normalizeStepTitle, normalizeWS, optionsFromSettings, OVERRIDE_STATUSES, placeholderSummary, PROFILE_FORMAT, PROFILE_VERSION, refAncestors, reviewedStatus, reviewKey, RULE_SEVERITIES, SEMANTIC_CATEGORIES, semanticText, splitClauses, validateProfile, zipEntries, zipEntryData } from "./core.js";
+import { buildCounterpartyDocx, buildTrackedChangesDocx, clauseMatrix, clauseRefLabel, counterpartyRows, counterpartyTitle, decisionText, diagnosticLine, DIFF_TYPES, diffRows, diffTexts, editionText, formatRef, isCriticalDiff, MATRIX_KINDS, metaLines, placeholderValues, reviewText, ruleFailureLine, sanitizeFilename, severityText, statusText, toCsv } from "./report.js";
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL("./vendor/pdfjs/pdf.worker.min.mjs", import.meta.url).href;
 
 const $ = (id) => document.getElementById(id);
 
@@ -13,201 +17,228 @@ function setStatus(text){
   if (el) el.textContent = text;
 }
 
+// ---- worker pool ----
+// Clause parsing and comparison run in worker.js; terminate() is the Cancel button.
+function cancelledError(){
+  const err = new Error("Отменено пользователем");
+  err.name = "AbortError";
+  return err;
+}
 
-// Clause heading pattern: "2.4 ..." / "п. 2.4 ..." etc.
-const CL_START_RE = /^\s*(?:п\.?\s*|пп\.?\s*|пункт\s*|подпункт\s*)?(?<num>\d+(?:\.\d+){0,6})\s*(?:[)\.\-–:]\s+|\s+)(?<rest>.*)$/i;
-const WS_RE = /\s+/g;
+function createWorkerPool(size){
+  const idle = [];
+  const all = [];
+  const queue = [];
+  const jobs = new Map();
+  let seq = 0;
+
+  function spawn(){
+    const w = new Worker(new URL("./worker.js", import.meta.url), { type: "module" });
+    w.onmessage = (e) => {
+      const msg = e.data;
+      const job = jobs.get(msg.id);
+      if(!job) return;
+      if(msg.type === "progress"){
+        job.onProgress?.(msg.done, msg.total);
+        return;
+      }
+      jobs.delete(msg.id);
+      if(msg.type === "done") job.resolve(msg.result);
+      else job.reject(new Error(msg.message));
+      release(w);
+    };
+    w.onerror = (e) => {
+      for(const [id, job] of jobs){
+        if(job.worker !== w) continue;
+        jobs.delete(id);
+        job.reject(new Error(e.message || "Ошибка воркера"));
+      }
+      e.preventDefault();
+      release(w);
+    };
+    all.push(w);
+    return w;
+  }
 
-function normalizeWS(s){ return (s||"").replace(WS_RE," ").trim(); }
+  function release(w){
+    const next = queue.shift();
+    if(next) dispatch(w, next);
+    else idle.push(w);
+  }
 
-function applyIgnore(text, ignoreRegexes){
-  let t = text || "";
-  for(const rgx of ignoreRegexes) t = t.replace(rgx,"");
-  return t;
-}
+  function dispatch(w, job){
+    job.worker = w;
+    jobs.set(job.id, job);
+    w.postMessage({ id: job.id, type: job.type, payload: job.payload });
+  }
 
-function sortClauseRef(a,b){
-  const pa=a.split(".").map(x=>parseInt(x,10));
-  const pb=b.split(".").map(x=>parseInt(x,10));
-  const n=Math.max(pa.length,pb.length);
-  for(let i=0;i<n;i++){
-    const va=Number.isFinite(pa[i])?pa[i]:1e9;
-    const vb=Number.isFinite(pb[i])?pb[i]:1e9;
-    if(va!==vb) return va-vb;
+  function run(type, payload, onProgress){
+    return new Promise((resolve, reject) => {
+      const job = { id: ++seq, type, payload, onProgress, resolve, reject };
+      const w = idle.pop() || (all.length < size ? spawn() : null);
+      if(w) dispatch(w, job);
+      else queue.push(job);
+    });
   }
-  return a.localeCompare(b);
-}
 
-// Ratcliff/Obershelp similarity (close to Python difflib.SequenceMatcher)
-function longestCommonSubstring(a,b){
-  const n=a.length, m=b.length;
-  let bestLen=0, bestEnd=0;
-  const prev=new Array(m+1).fill(0);
-  const curr=new Array(m+1).fill(0);
-  for(let i=1;i<=n;i++){
-    for(let j=1;j<=m;j++){
-      if(a[i-1]===b[j-1]){
-        curr[j]=prev[j-1]+1;
-        if(curr[j]>bestLen){bestLen=curr[j];bestEnd=i;}
-      }else curr[j]=0;
-    }
-    for(let j=0;j<=m;j++) prev[j]=curr[j];
+  function terminate(){
+    for(const w of all) w.terminate();
+    all.length = 0;
+    idle.length = 0;
+    const err = cancelledError();
+    for(const job of queue) job.reject(err);
+    for(const job of jobs.values()) job.reject(err);
+    queue.length = 0;
+    jobs.clear();
   }
-  return {bestLen,bestEnd};
-}
-function roMatches(a,b){
-  if(!a||!b) return 0;
-  const {bestLen,bestEnd}=longestCommonSubstring(a,b);
-  if(bestLen===0) return 0;
-  const aStart=bestEnd-bestLen;
-  const mid=a.slice(aStart,bestEnd);
-  const bStart=b.indexOf(mid);
-  const left=roMatches(a.slice(0,aStart), b.slice(0,bStart));
-  const right=roMatches(a.slice(bestEnd), b.slice(bStart+bestLen));
-  return bestLen+left+right;
+
+  return { size, run, terminate };
 }
-function similarityRatio(a,b){
-  const A=a||"", B=b||"";
-  if(!A && !B) return 1.0;
-  const matches=roMatches(A,B);
-  return (2*matches)/(A.length+B.length);
+
+let pool = null;
+function getPool(){
+  if(!pool){
+    const cores = navigator.hardwareConcurrency || 2;
+    pool = createWorkerPool(Math.max(1, Math.min(4, cores - 1)));
+  }
+  return pool;
 }
 
-// ---- parsing ----
-async function docxToText(file){
-  const ab = await file.arrayBuffer();
-  const res = await window.mammoth.extractRawText({ arrayBuffer: ab });
-  return (res.value || "").trim();
-}
-async function pdfToText(file){
-  const ab = await file.arrayBuffer();
-  const loadingTask = pdfjsLib.getDocument({ data: ab });
-  const pdf = await loadingTask.promise;
-  const pages = [];
-  for(let i=1;i<=pdf.numPages;i++){
-    const page = await pdf.getPage(i);
-    const content = await page.getTextContent();
-    pages.push(content.items.map(it=>it.str).join(" "));
-  }
-  return pages.join("\n").trim();
-}
-function extractClausesFromText(text){
-  const lines=(text||"").split(/\r?\n/).map(l=>l.replace(/\s+$/g,""));
-  const clauses=new Map();
-  let current=null;
-  for(const ln of lines){
-    if(!ln.trim()) continue;
-    const m=ln.match(CL_START_RE);
-    if(m && m.groups?.num){
-      current=m.groups.num;
-      if(!clauses.has(current)) clauses.set(current, []);
-      const rest=(m.groups.rest||"").trim();
-      if(rest) clauses.get(current).push(rest);
-      continue;
+// Runs fn(item, index) for every item with at most `limit` in flight
+async function runLimited(items, limit, fn){
+  const out = new Array(items.length);
+  let next = 0;
+  async function lane(){
+    while(next < items.length){
+      const i = next++;
+      out[i] = await fn(items[i], i);
     }
-    if(!current) continue;
-    clauses.get(current).push(ln.trim());
-  }
-  const out=new Map();
-  for(const [k, parts] of clauses.entries()){
-    const joined=parts.join("\n");
-    out.set(k, joined.trim());
   }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
   return out;
 }
-async function fileToParsed(file){
-  const name=file.name.toLowerCase();
-  let text="";
-  if(name.endsWith(".docx")) text=await docxToText(file);
-  else if(name.endsWith(".pdf")) text=await pdfToText(file);
-  else throw new Error("Unsupported file: "+file.name);
-  return { text, clauses: extractClausesFromText(text) };
-}
-
-// ---- compare ----
-function compareClauses(etalonMap, clientMap, opts){
-  const diffs=[];
-  const ignoreRegexes=opts.ignoreRegexes||[];
-  const simThreshold=opts.similarityThreshold ?? 0.985;
-
-  // missing / changed
-  for(const [ref, etText] of etalonMap.entries()){
-    if(!clientMap.has(ref)){
-      diffs.push({ clause_ref: ref, diff_type: "MISSING" });
-      continue;
-    }
-    const clText=clientMap.get(ref) || "";
-    const a = normalizeWS(applyIgnore(etText, ignoreRegexes)).toLowerCase();
-    const b = normalizeWS(applyIgnore(clText, ignoreRegexes)).toLowerCase();
-    const sim = similarityRatio(a,b);
-    if(sim < simThreshold){
-      diffs.push({ clause_ref: ref, diff_type: "CHANGED", similarity: sim });
-    }
-  }
 
-  // extra
-  for(const [ref] of clientMap.entries()){
-    if(!etalonMap.has(ref)){
-      diffs.push({ clause_ref: ref, diff_type: "EXTRA" });
-    }
+// ---- OCR (scanned PDFs) ----
+// Tesseract.js with the Russian model, all served from vendor/tesseract (see fetch-vendor.mjs),
+// so scans are recognized without sending anything out. One recognizer for the whole page;
+// pages from parallel files are queued, which also keeps its progress log unambiguous.
+const OCR_ASSETS = new URL("./vendor/tesseract/", import.meta.url).href;
+const OCR_SCALE = 2; // pdf.js render scale: ~150 dpi for an A4 page
+let ocrWorker = null;
+let ocrQueue = Promise.resolve();
+let ocrProgress = null;
+
+function getOcrWorker(){
+  if(!window.Tesseract) return Promise.reject(new Error("OCR недоступен: не загружены файлы vendor/tesseract"));
+  if(!ocrWorker){
+    ocrWorker = window.Tesseract.createWorker("rus", 1, {
+      workerPath: OCR_ASSETS + "worker.min.js",
+      corePath: OCR_ASSETS + "core",
+      langPath: OCR_ASSETS + "lang",
+      logger: (m) => ocrProgress?.(m),
+    });
+    ocrWorker.catch(() => { ocrWorker = null; });
   }
+  return ocrWorker;
+}
 
-  diffs.sort((x,y)=> {
-    const c=sortClauseRef(x.clause_ref, y.clause_ref);
-    return c!==0?c:x.diff_type.localeCompare(y.diff_type);
+// libs.ocr for extractText(): renders the pdf.js page and recognizes it, lines in PDF units
+function ocrPdfPage(page, pageNo, onProgress){
+  const job = ocrQueue.then(async () => {
+    ocrProgress = (m) => {
+      if(m.status === "recognizing text") onProgress?.(`OCR стр. ${pageNo}: ${Math.round(m.progress * 100)}%`);
+      else if(m.status?.startsWith("loading")) onProgress?.("загрузка модели OCR");
+    };
+    try{
+      const worker = await getOcrWorker();
+      const viewport = page.getViewport({ scale: OCR_SCALE });
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+      const { data } = await worker.recognize(canvas);
+      const lines = (data.lines || [])
+        .map(ln => ({
+          text: ln.text.replace(/\s+/g, " ").trim(),
+          x: ln.bbox.x0 / OCR_SCALE,
+          right: ln.bbox.x1 / OCR_SCALE,
+          y: (canvas.height - ln.bbox.y1) / OCR_SCALE,
+          height: (ln.bbox.y1 - ln.bbox.y0) / OCR_SCALE,
+        }))
+        .filter(ln => ln.text);
+      return { lines, confidence: data.confidence };
+    }finally{
+      ocrProgress = null;
+    }
   });
-  return diffs;
+  ocrQueue = job.catch(() => {});
+  return job;
 }
 
-function classifyStatus(diffs, criticalSet, criticalMinSim){
-  if(!diffs.length) return "OK";
-  for(const d of diffs){
-    if(criticalSet.has(d.clause_ref)){
-      if(d.diff_type==="MISSING") return "NOT_APPLIED";
-      if(d.diff_type==="CHANGED" && (d.similarity ?? 0) < criticalMinSim) return "NOT_APPLIED";
-    }
+// ---- parsing ----
+// Text extraction stays here (pdf.js has its own worker); clause parsing goes to the pool.
+// Several files of one counterparty (main text + appendices) are read as one document, in order.
+// onProgress(label) reports the current stage for the status line.
+async function fileToParsed(files, onProgress){
+  files = [].concat(files);
+  const texts = [];
+  const ocrPages = [];
+  for(const file of files){
+    const stage = (label) => onProgress?.(files.length > 1 ? `${file.name}: ${label}` : label);
+    stage("извлечение текста");
+    const data = await file.arrayBuffer();
+    const libs = { mammoth: window.mammoth, pdfjs: pdfjsLib, ocr: (page, i) => ocrPdfPage(page, i, stage) };
+    texts.push(await extractText({ name: file.name, data }, libs, (i, n, ocr) => {
+      if(ocr) ocrPages.push(files.length > 1 ? { ...ocr, file: file.name } : ocr);
+      stage(`стр. ${i}/${n}`);
+    }));
   }
-  return "DIFFS";
+  const text = texts.join("\n\n");
+  onProgress?.("разбор пунктов");
+  const { clauses, nodes, diagnostics, meta } = await getPool().run("parse", { text, ocrPages });
+  return { text, clauses, nodes, diagnostics, meta };
 }
 
 function badgeClass(status){
   if(status==="OK") return "ok";
   if(status==="NOT_APPLIED") return "bad";
   if(status==="NEEDS_REVIEW") return "warn";
+  if(status==="UNREADABLE") return "bad";
   return "warn";
 }
-function statusText(status){
-  if(status==="OK") return "всё внесено";
-  if(status==="NOT_APPLIED") return "изменения не внесены";
-  if(status==="NEEDS_REVIEW") return "нужна ручная проверка";
-  return "есть расхождения";
-}
 
 function pillClass(t){
   if(t==="MISSING") return "missing";
   if(t==="EXTRA") return "extra";
+  if(t==="RENUMBERED" || t==="MOVED") return "moved";
   return "changed";
 }
 
 // ---- inline diff rendering (split view) ----
-// Uses global Diff from jsdiff (cdnjs).
-function splitDiffHtml(leftText, rightText){
-  const parts = window.Diff.diffWordsWithSpace(leftText || "", rightText || "");
+// Uses global Diff from jsdiff (vendor/diff.min.js). Changed numbers, dates, amounts and references
+// get an extra "sem" class; fragments equal after normalization (norm) are shown muted.
+// Sentences moved within the clause are tinted on both sides and numbered (see diffClauseText).
+function splitDiffHtml(leftText, rightText, norm){
+  const parts = markSemanticParts(diffClauseText(leftText || "", rightText || "", window.Diff), leftText || "", rightText || "");
+  markNormalizedParts(parts, norm);
   let leftHtml = "";
   let rightHtml = "";
   for(const p of parts){
     const safe = escapeHtml(p.value);
     const hasMeaningful = (p.value || "").trim().length > 0;
 
-    if(p.added){
+    if(p.moved){
+      if(p.added) rightHtml += movedHtml("added", p, safe);
+      else leftHtml += movedHtml("missing", p, safe);
+    } else if(p.added){
       // appears only in right (counterparty)
       // For UX: just bold the fragment (no extra annotation).
-      if(hasMeaningful) rightHtml += `<span class="added">${safe}</span>`;
+      if(hasMeaningful) rightHtml += fragmentHtml("added", p, safe);
       else rightHtml += safe;
     } else if(p.removed){
       // appears only in left (etalon)
       if(hasMeaningful){
-        leftHtml += `<span class="missing">${safe}</span>`;
+        leftHtml += fragmentHtml("missing", p, safe);
       } else {
         leftHtml += safe;
       }
@@ -219,6 +250,18 @@ function splitDiffHtml(leftText, rightText){
   return { leftHtml, rightHtml };
 }
 
+function fragmentHtml(cls, p, safe){
+  if(p.normalized) return `<span class="norm" title="Различие снято нормализацией">${safe}</span>`;
+  if(!p.semantic) return `<span class="${cls}">${safe}</span>`;
+  return `<span class="${cls} sem" title="${escapeHtml(semanticText(p.semantic))}">${safe}</span>`;
+}
+
+function movedHtml(cls, p, safe){
+  const mark = p.moveStart ? `<sup class="move-mark">⇅${p.moved}</sup>` : "";
+  const inner = p.changed && p.value.trim() ? fragmentHtml(cls, p, safe) : safe;
+  return `${mark}<span class="moved-text" title="Предложение перенесено внутри пункта (${p.moved})">${inner}</span>`;
+}
+
 function escapeHtml(s){
   return (s||"")
     .replaceAll("&","&amp;")
@@ -228,422 +271,2365 @@ function escapeHtml(s){
     .replaceAll("'","&#039;");
 }
 
-// ---- DOCX export (one file per counterparty) ----
-function sanitizeFilename(name){
-  return (name||"контрагент").replace(/[\\/:*?"<>|]+/g, "_").trim() || "контрагент";
-}
-
-function textRunsFromDiffParts(parts, side){
-  // side: "left" => Etalon, "right" => Document
-  // In Etalon we DO NOT strike removed fragments. Instead:
-  //   removed fragment -> bold + "(не найдено у контрагента)"
-  // In Document:
-  //   added fragment -> bold (no extra note)
-
-  const d = window.docx;
-  const runs = [];
-
-  function pushTextWithBreaks(text, style){
-    const lines = (text || "").split("\n");
-    for(let i=0;i<lines.length;i++){
-      const t = lines[i];
-      if(i===0) runs.push(new d.TextRun({ text: t, ...style }));
-      else runs.push(new d.TextRun({ text: t, break: 1, ...style }));
-    }
+// ---- structure diagnostics ----
+const DIAG_SHOW_MAX = 50;
+
+// Collapsible list of numbering anomalies, or null when there are none
+function renderDiagnostics(diag, title){
+  const issues = diag?.issues || [];
+  if(!issues.length) return null;
+  const det = document.createElement("details");
+  det.className = "diagnostics" + (diag.reviewReason ? " severe" : "");
+  const sum = document.createElement("summary");
+  sum.textContent = `${title}: замечаний ${issues.length}`;
+  det.appendChild(sum);
+  const ul = document.createElement("ul");
+  for(const it of issues.slice(0, DIAG_SHOW_MAX)){
+    const li = document.createElement("li");
+    li.className = it.severity;
+    li.textContent = diagnosticLine(it);
+    ul.appendChild(li);
   }
-
-  for(const p of parts){
-    const val = p.value || "";
-    const isAdded = !!p.added;
-    const isRemoved = !!p.removed;
-    const hasMeaningful = val.trim().length > 0;
-
-    if(side === "left"){
-      if(isAdded) continue; // doesn't exist in etalon
-      if(isRemoved){
-        pushTextWithBreaks(val, { bold: true });
-      } else {
-        pushTextWithBreaks(val, {});
-      }
-    } else {
-      // right
-      if(isRemoved) continue; // not in document
-      if(isAdded){
-        pushTextWithBreaks(val, { bold: true });
-      } else {
-        pushTextWithBreaks(val, {});
-      }
-    }
+  if(issues.length > DIAG_SHOW_MAX){
+    const li = document.createElement("li");
+    li.textContent = `… и ещё ${issues.length - DIAG_SHOW_MAX}`;
+    ul.appendChild(li);
   }
-
-  if(!runs.length) runs.push(new d.TextRun(""));
-  return runs;
+  det.appendChild(ul);
+  return det;
 }
 
-async function exportCounterpartyDocx(counterparty, etalonClauses, clientClauses, criticalSet){
-  const d = window.docx;
-  const children = [];
-
-  children.push(new d.Paragraph({ text: `Контрагент: ${counterparty.name}`, heading: d.HeadingLevel.HEADING_1 }));
-  children.push(new d.Paragraph({ text: `Статус: ${statusText(counterparty.status)} (${counterparty.status})` }));
-  if(counterparty.source_file) children.push(new d.Paragraph({ text: `Файл: ${counterparty.source_file}`, spacing: { after: 200 }}));
-
-  const diffs = counterparty.diffs || [];
-  if(!diffs.length){
-    children.push(new d.Paragraph({ text: "Расхождений не выявлено.", spacing: { before: 200 }}));
-  } else {
-    for(const item of diffs){
-      const ref = item.clause_ref;
-      const typ = item.diff_type;
-      const isCrit = criticalSet.has(ref);
-
-      children.push(new d.Paragraph({
-        text: `п. ${ref} — ${typ}${isCrit ? " (CRITICAL)" : ""}`,
-        heading: d.HeadingLevel.HEADING_2,
-        spacing: { before: 250, after: 120 }
-      }));
-
-      let leftText = "";
-      let rightText = "";
-      if(typ==="MISSING"){
-        leftText = etalonClauses.get(ref) || "";
-        rightText = "— отсутствует —";
-      } else if(typ==="EXTRA"){
-        leftText = "— отсутствует —";
-        rightText = clientClauses.get(ref) || "";
-      } else {
-        leftText = etalonClauses.get(ref) || "";
-        rightText = clientClauses.get(ref) || "";
-      }
-
-      // Build table with 2 columns: Etalon vs Document
-      const tableRows = [];
-
-      // header row
-      tableRows.push(new d.TableRow({
-        children: [
-          new d.TableCell({
-            width: { size: 50, type: d.WidthType.PERCENTAGE },
-            children: [ new d.Paragraph({ text: "Эталон", bold: true }) ],
-          }),
-          new d.TableCell({
-            width: { size: 50, type: d.WidthType.PERCENTAGE },
-            children: [ new d.Paragraph({ text: "Документ", bold: true }) ],
-          }),
-        ],
-      }));
-
-      if(typ==="CHANGED"){
-        const parts = window.Diff.diffWordsWithSpace(leftText, rightText);
-        const leftRuns = textRunsFromDiffParts(parts, "left");
-        const rightRuns = textRunsFromDiffParts(parts, "right");
-
-        tableRows.push(new d.TableRow({
-          children: [
-            new d.TableCell({
-              width: { size: 50, type: d.WidthType.PERCENTAGE },
-              children: [ new d.Paragraph({ children: leftRuns }) ],
-            }),
-            new d.TableCell({
-              width: { size: 50, type: d.WidthType.PERCENTAGE },
-              children: [ new d.Paragraph({ children: rightRuns }) ],
-            }),
-          ],
-        }));
-      } else {
-        // no diff, just full texts
-        tableRows.push(new d.TableRow({
-          children: [
-            new d.TableCell({
-              width: { size: 50, type: d.WidthType.PERCENTAGE },
-              children: [ new d.Paragraph({ children: textRunsFromDiffParts([{value:leftText}], "left") }) ],
-            }),
-            new d.TableCell({
-              width: { size: 50, type: d.WidthType.PERCENTAGE },
-              children: [ new d.Paragraph({ children: textRunsFromDiffParts([{value:rightText}], "right") }) ],
-            }),
-          ],
-        }));
-      }
+// ---- DOCX export (documents are built in report.js) ----
+async function downloadDocx(filename, doc){
+  downloadBlob(filename, await window.docx.Packer.toBlob(doc));
+}
 
-      const table = new d.Table({
-        width: { size: 100, type: d.WidthType.PERCENTAGE },
-        rows: tableRows,
-      });
+function exportCounterpartyDocx(r, client, criticalSet){
+  const maps = clauseMaps(r);
+  const doc = buildCounterpartyDocx(r, {
+    etalon: { ...etalonFor(r), clauses: maps.etalon }, client: { ...client.parsed, clauses: maps.client },
+    criticalSet, normalization: lastRunState.normalization },
+    { docx: window.docx, Diff: window.Diff });
+  return downloadDocx(sanitizeFilename(counterpartyTitle(r)) + ".docx", doc);
+}
 
-      children.push(table);
+function exportTrackedChangesDocx(r, client, criticalSet){
+  const maps = clauseMaps(r);
+  const doc = buildTrackedChangesDocx(r, {
+    etalon: { ...etalonFor(r), clauses: maps.etalon }, client: { ...client.parsed, clauses: maps.client }, criticalSet,
+    criticalMinSim: lastRunState.criticalMinSim,
+    author: $("revisionAuthor").value.trim(),
+  }, { docx: window.docx, Diff: window.Diff });
+  return downloadDocx(sanitizeFilename(counterpartyTitle(r)) + " (правки).docx", doc);
+}
 
-      if(item.similarity !== undefined && typ==="CHANGED"){
-        children.push(new d.Paragraph({ text: `Similarity: ${(item.similarity||0).toFixed(3)}`, spacing: { before: 80 } }));
-      }
-    }
-  }
+// ---- summary export (all counterparties in one workbook) ----
+function summaryContext(){
+  return {
+    criticalSet: lastRunState.criticalSet,
+    criticalMinSim: lastRunState.criticalMinSim,
+    clauseMaps,
+  };
+}
 
-  const doc = new d.Document({
-    sections: [{ properties: {}, children }],
-  });
+function exportSummaryXlsx(results){
+  const X = window.XLSX;
+  const ctx = summaryContext();
+  const wb = X.utils.book_new();
+  const ws1 = X.utils.aoa_to_sheet(counterpartyRows(results, ctx));
+  ws1["!cols"] = [{ wch: 4 }, { wch: 40 }, { wch: 13 }, { wch: 16 }, { wch: 11 }, { wch: 12 }, { wch: 36 }, { wch: 12 }, { wch: 22 }, { wch: 14 }, ...DIFF_TYPES.map(() => ({ wch: 11 })),
+    { wch: 10 }, { wch: 10 }, { wch: 30 }, { wch: 50 }, { wch: 40 }, { wch: 22 }, { wch: 40 }, { wch: 11 }, { wch: 11 }, { wch: 36 }, { wch: 40 }];
+  const ws2 = X.utils.aoa_to_sheet(diffRows(results, ctx));
+  ws2["!cols"] = [{ wch: 40 }, { wch: 14 }, { wch: 14 }, { wch: 12 }, { wch: 9 }, { wch: 10 }, { wch: 24 }, { wch: 22 }, { wch: 40 }, { wch: 80 }, { wch: 80 }, { wch: 40 }];
+  X.utils.book_append_sheet(wb, ws1, "Контрагенты");
+  X.utils.book_append_sheet(wb, ws2, "Расхождения");
+  const data = X.write(wb, { bookType: "xlsx", type: "array" });
+  downloadBlob("сводка.xlsx", new Blob([data], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" }));
+}
 
-  const blob = await d.Packer.toBlob(doc);
-  const filename = sanitizeFilename(counterparty.name) + ".docx";
-  downloadBlob(filename, blob);
+function exportSummaryCsv(results, kind){
+  const ctx = summaryContext();
+  const rows = kind === "diffs" ? diffRows(results, ctx) : counterpartyRows(results, ctx);
+  const filename = kind === "diffs" ? "расхождения.csv" : "контрагенты.csv";
+  downloadBlob(filename, new Blob([toCsv(rows)], { type: "text/csv;charset=utf-8" }));
 }
 
 // ---- UI ----
-let etalonParsed = null;
-let clientFiles = [];
+// Parsed etalon editions: { file, source_file, text, clauses, nodes, diagnostics, outdated, fromProfile }.
+// With several, each document is compared with the closest one (evaluateAgainstEditions()).
+let etalonEditions = [];
 let lastRunState = null; // store parsed maps for docx export per client
+let activeRun = null; // { cancelled, done, total, progress } while a comparison runs
+
+// The edition settings and profiles refer to: the first one not marked outdated
+function primaryEtalon(){
+  return etalonEditions.find(ed => !ed.outdated) || etalonEditions[0] || null;
+}
 
 function setRunEnabled(){
-  $("runBtn").disabled = !(etalonParsed && clientFiles.length);
+  $("runBtn").disabled = !(etalonEditions.length && batchCounterparties().length) || !!activeRun;
 }
 
 $("etalonFile").addEventListener("change", async (e) => {
-  const f = e.target.files?.[0];
-  etalonParsed = null;
-  $("etalonMeta").textContent = "";
-  if(!f){ setRunEnabled(); return; }
+  const files = Array.from(e.target.files || []);
+  etalonEditions = [];
+  showEtalonMeta();
+  if(!files.length){ setRunEnabled(); return; }
 
   $("etalonMeta").textContent = "Читаю эталон…";
   try{
-    const parsed = await fileToParsed(f);
-    etalonParsed = { file: f, ...parsed };
-    $("etalonMeta").textContent = `OK: ${parsed.text.length.toLocaleString("ru-RU")} символов, пунктов ${parsed.clauses.size}`;
+    for(const f of files){
+      const parsed = await fileToParsed(f);
+      etalonEditions.push({ file: f, source_file: f.name, ...parsed, outdated: false });
+    }
+    showEtalonMeta();
   }catch(err){
     console.error(err);
+    etalonEditions = [];
+    showEtalonMeta();
     $("etalonMeta").textContent = "Ошибка чтения эталона: " + (err?.message || err);
   }
   setRunEnabled();
 });
 
-$("clientFiles").addEventListener("change", (e) => {
-  clientFiles = Array.from(e.target.files || []);
-  $("clientsMeta").textContent = clientFiles.length ? `Выбрано файлов: ${clientFiles.length}` : "";
-  setRunEnabled();
-});
-
 $("clearBtn").addEventListener("click", () => {
+  if(activeRun) $("cancelBtn").click();
   $("etalonFile").value = "";
-  $("clientFiles").value = "";
   $("criticalClauses").value = "";
   $("ignoreRegexes").value = "";
+  showIgnoreRegexErrors();
+  renderClauseRules([]);
   setStatus("");
+  renderSummary([]);
   setSummary("Загрузите эталон и документы, затем нажмите «Сравнить».");
   $("results").innerHTML = `<div class="result-status">Сравниваю…</div>`;
+  $("filterCount").textContent = "";
   $("etalonMeta").textContent = "";
-  $("clientsMeta").textContent = "";
-  etalonParsed = null;
-  clientFiles = [];
+  $("etalonDiag").innerHTML = "";
+  $("etalonEditions").innerHTML = "";
+  etalonEditions = [];
+  clearBatch();
   lastRunState = null;
   setRunEnabled();
 });
 
-$("runBtn").addEventListener("click", async () => {
-  setStatus("Думаю...");
-  setSummary("");
-  $("results").innerHTML = `<div class="result-status">Сравниваю…</div>`;
-  lastRunState = { clients: new Map() };
+// ---- document batch ----
+// Counterparty documents to compare, collected from the file picker, a folder and drag and drop;
+// ZIP archives (nested ones too) are unpacked here. Files with the same content (SHA-256) are
+// compared once. Files put in one group (main text + appendices) are one counterparty.
+let batch = []; // [{ id, file, path, hash, group }]; group: id of the group's first file or null
+let batchSeq = 0;
+const batchSelected = new Set();
+let batchNotes = [];
+
+async function sha256(file){
+  if(!crypto.subtle) return null; // not a secure context (file://)
+  const buf = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+  return Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, "0")).join("");
+}
 
-  const criticalSet = new Set(($("criticalClauses").value || "").split(",").map(s=>s.trim()).filter(Boolean));
-  const similarityThreshold = parseFloat($("similarityThreshold").value || "0.985");
-  const criticalMinSim = parseFloat($("criticalMinSim").value || "0.97");
+// Files found in folders and archives: documents and archives only, no hidden or Office lock files
+function isBatchCandidate(name){
+  const base = name.split("/").pop();
+  return !base.startsWith(".") && !base.startsWith("~$") && (DOCUMENT_RE.test(base) || /\.zip$/i.test(base));
+}
 
-  const ignoreLines = ($("ignoreRegexes").value || "").split(/\r?\n/).map(s=>s.trim()).filter(Boolean);
-  const ignoreRegexes = [];
-  for(const line of ignoreLines){
-    try{ ignoreRegexes.push(new RegExp(line, "ig")); }catch{}
+// items: [{ file, path, picked }], picked = chosen by the user rather than found in a folder.
+// Returns the documents with archives replaced by their contents.
+async function expandArchives(items, notes){
+  const out = [];
+  for(const it of items){
+    if(!it.picked && !isBatchCandidate(it.path)) continue;
+    if(!/\.zip$/i.test(it.file.name)){
+      out.push(it);
+      continue;
+    }
+    try{
+      const bytes = new Uint8Array(await it.file.arrayBuffer());
+      const inner = [];
+      for(const e of zipEntries(bytes)){
+        if(e.dir || e.name.startsWith("__MACOSX/") || !isBatchCandidate(e.name)) continue;
+        const file = new File([await zipEntryData(bytes, e)], e.name.split("/").pop(), { lastModified: it.file.lastModified });
+        inner.push({ file, path: `${it.path}/${e.name}` });
+      }
+      if(!inner.length) notes.push(`${it.path}: в архиве нет документов`);
+      out.push(...await expandArchives(inner, notes));
+    }catch(err){
+      notes.push(`${it.path}: ${err?.message || err}`);
+    }
   }
+  return out;
+}
 
-  const results = [];
-  for(const f of clientFiles){
-    const name = f.name.replace(/\.(docx|pdf)$/i, "");
-    try{
-      const parsed = await fileToParsed(f);
-      if(!parsed.text || parsed.text.length < 50 || parsed.clauses.size === 0){
-        results.push({ name, status: "NEEDS_REVIEW", diffs: [], source_file: f.name });
-        continue;
+// Everything under the dropped folders; entries are taken synchronously, before the first await
+async function droppedItems(dataTransfer){
+  const entries = Array.from(dataTransfer.items || [], it => it.webkitGetAsEntry?.()).filter(Boolean);
+  if(!entries.length) return Array.from(dataTransfer.files, file => ({ file, path: file.name, picked: true }));
+  const out = [];
+  const walk = async (entry, dir) => {
+    if(entry.isFile){
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      out.push({ file, path: dir + file.name, picked: !dir });
+    } else if(entry.isDirectory){
+      const reader = entry.createReader();
+      for(;;){
+        const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if(!chunk.length) break;
+        for(const e of chunk) await walk(e, `${dir}${entry.name}/`);
+      }
+    }
+  };
+  for(const e of entries) await walk(e, "");
+  return out;
+}
+
+async function addToBatch(items){
+  if(!items.length) return;
+  $("clientsMeta").textContent = "Добавляю файлы…";
+  const notes = [];
+  for(const { file, path } of await expandArchives(items, notes)){
+    const hash = await sha256(file).catch(() => null);
+    batch.push({ id: ++batchSeq, file, path, hash, group: null });
+  }
+  batchNotes = notes;
+  renderBatch();
+}
+
+function clearBatch(){
+  batch = [];
+  batchSelected.clear();
+  batchNotes = [];
+  renderBatch();
+}
+
+function removeFromBatch(ids){
+  batch = batch.filter(x => !ids.has(x.id));
+  for(const id of ids) batchSelected.delete(id);
+  renderBatch();
+}
+
+// id -> path of the earlier file with the same content
+function batchDuplicates(){
+  const seen = new Map();
+  const dups = new Map();
+  for(const x of batch){
+    if(!x.hash) continue;
+    if(seen.has(x.hash)) dups.set(x.id, seen.get(x.hash));
+    else seen.set(x.hash, x.path);
+  }
+  return dups;
+}
+
+// [{ name, source_file, files }] in list order, duplicates left out; names are made unique
+function batchCounterparties(){
+  const dups = batchDuplicates();
+  const groups = new Map();
+  for(const x of batch){
+    if(dups.has(x.id)) continue;
+    const key = x.group ?? x.id;
+    if(!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(x);
+  }
+  const used = new Set();
+  return Array.from(groups.values(), (entries) => {
+    const base = entries[0].file.name.replace(DOCUMENT_RE, "");
+    let name = base;
+    for(let n = 2; used.has(name.toLowerCase()); n++) name = `${base} (${n})`;
+    used.add(name.toLowerCase());
+    // SHA-256 of the content (of each file in a group): what per-document corrections are kept under
+    const content_hash = entries.every(x => x.hash) ? entries.map(x => x.hash).join("+") : null;
+    return { name, source_file: entries.map(x => x.path).join(" + "), content_hash, files: entries.map(x => x.file) };
+  });
+}
+
+function groupSelected(){
+  const groups = new Set(batch.filter(x => batchSelected.has(x.id) && x.group != null).map(x => x.group));
+  const members = batch.filter(x => batchSelected.has(x.id) || groups.has(x.group));
+  if(members.length < 2) return;
+  for(const x of members) x.group = members[0].id;
+  // the group's files go together, at the place of its first one (the main text)
+  const rest = batch.filter(x => !members.includes(x));
+  rest.splice(rest.filter(x => batch.indexOf(x) < batch.indexOf(members[0])).length, 0, ...members);
+  batch = rest;
+  batchSelected.clear();
+  renderBatch();
+}
+
+function makeMainFile(x){
+  batch.splice(batch.indexOf(x), 1);
+  batch.splice(batch.findIndex(y => y.group === x.group), 0, x);
+  renderBatch();
+}
+
+function ungroupSelected(){
+  const groups = new Set(batch.filter(x => batchSelected.has(x.id)).map(x => x.group).filter(g => g != null));
+  for(const x of batch) if(groups.has(x.group)) x.group = null;
+  batchSelected.clear();
+  renderBatch();
+}
+
+function renderBatch(){
+  const dups = batchDuplicates();
+  const counterparties = batchCounterparties();
+  const nameOf = new Map();
+  for(const cp of counterparties) for(const f of cp.files) nameOf.set(f, cp.name);
+
+  const box = $("batchList");
+  box.innerHTML = "";
+  if(batch.length){
+    const table = document.createElement("table");
+    table.className = "batch";
+    const groupSize = new Map();
+    for(const x of batch) if(x.group != null) groupSize.set(x.group, (groupSize.get(x.group) || 0) + 1);
+    const seenGroups = new Set();
+    for(const x of batch){
+      const tr = document.createElement("tr");
+      const grouped = groupSize.get(x.group) > 1;
+      const appendix = grouped && seenGroups.has(x.group);
+      if(grouped) seenGroups.add(x.group);
+      if(appendix) tr.className = "appendix";
+      if(dups.has(x.id)) tr.className = "duplicate";
+
+      const pick = document.createElement("input");
+      pick.type = "checkbox";
+      pick.checked = batchSelected.has(x.id);
+      pick.onchange = () => {
+        if(pick.checked) batchSelected.add(x.id);
+        else batchSelected.delete(x.id);
+        renderBatchActions();
+      };
+      const path = document.createElement("span");
+      path.textContent = x.path;
+      path.title = x.hash ? "SHA-256: " + x.hash : "";
+      const note = document.createElement("span");
+      note.className = "small";
+      if(dups.has(x.id)) note.textContent = "дубликат: " + dups.get(x.id) + " — не сравнивается";
+      else if(grouped) note.textContent = (appendix ? "приложение к «" : "основной текст «") + nameOf.get(x.file) + "»";
+      const size = document.createElement("span");
+      size.className = "small";
+      size.textContent = `${Math.max(1, Math.round(x.file.size / 1024))} КБ`;
+      const remove = document.createElement("button");
+      remove.textContent = "×";
+      remove.title = "Убрать из списка";
+      remove.disabled = !!activeRun;
+      remove.onclick = () => removeFromBatch(new Set([x.id]));
+
+      if(appendix){
+        const main = document.createElement("button");
+        main.textContent = "Основной";
+        main.title = "Сделать основным текстом контрагента";
+        main.disabled = !!activeRun;
+        main.onclick = () => makeMainFile(x);
+        note.append(" ", main);
+      }
+      for(const el of [pick, path, size, note, remove]){
+        const td = document.createElement("td");
+        td.appendChild(el);
+        tr.appendChild(td);
+      }
+      table.appendChild(tr);
+    }
+    box.appendChild(table);
+  }
+
+  const parts = [];
+  if(batch.length) parts.push(`Файлов: ${batch.length}`, `контрагентов: ${counterparties.length}`);
+  if(dups.size) parts.push(`дубликатов: ${dups.size}`);
+  $("clientsMeta").textContent = [parts.join(", "), ...batchNotes].filter(Boolean).join("\n");
+  renderBatchActions();
+  setRunEnabled();
+}
+
+function renderBatchActions(){
+  const picked = batch.filter(x => batchSelected.has(x.id));
+  $("groupFilesBtn").disabled = picked.length < 2 || !!activeRun;
+  $("ungroupFilesBtn").disabled = !picked.some(x => x.group != null) || !!activeRun;
+  $("removeFilesBtn").disabled = !picked.length || !!activeRun;
+  $("clearFilesBtn").disabled = !batch.length || !!activeRun;
+}
+
+$("clientFiles").addEventListener("change", async (e) => {
+  const items = Array.from(e.target.files || [], file => ({ file, path: file.name, picked: true }));
+  e.target.value = "";
+  await addToBatch(items);
+});
+$("clientFolder").addEventListener("change", async (e) => {
+  const items = Array.from(e.target.files || [], file => ({ file, path: file.webkitRelativePath || file.name, picked: false }));
+  e.target.value = "";
+  await addToBatch(items);
+});
+$("addFilesBtn").addEventListener("click", () => $("clientFiles").click());
+$("addFolderBtn").addEventListener("click", () => $("clientFolder").click());
+$("groupFilesBtn").addEventListener("click", groupSelected);
+$("ungroupFilesBtn").addEventListener("click", ungroupSelected);
+$("removeFilesBtn").addEventListener("click", () => removeFromBatch(new Set(batchSelected)));
+$("clearFilesBtn").addEventListener("click", clearBatch);
+
+const drop = $("clientDrop");
+drop.addEventListener("dragover", (e) => {
+  e.preventDefault();
+  drop.classList.add("over");
+});
+drop.addEventListener("dragleave", () => drop.classList.remove("over"));
+drop.addEventListener("drop", async (e) => {
+  e.preventDefault();
+  drop.classList.remove("over");
+  if(activeRun) return;
+  try{
+    await addToBatch(await droppedItems(e.dataTransfer));
+  }catch(err){
+    console.error(err);
+    $("clientsMeta").textContent = "Не удалось прочитать файлы: " + (err?.message || err);
+  }
+});
+
+// ---- profiles ----
+// A known standard can be re-run without re-uploading it. Profiles are kept in
+// localStorage and exchanged as JSON files (format checks live in core.js).
+const PROFILES_KEY = "223fz.profiles";
+const LAST_PROFILE_KEY = "223fz.lastProfile";
+
+function loadProfiles(){
+  try{ return JSON.parse(localStorage.getItem(PROFILES_KEY) || "{}") || {}; }
+  catch{ return {}; }
+}
+function storeProfiles(all){
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(all));
+}
+
+function currentSettings(){
+  return {
+    criticalClauses: $("criticalClauses").value.trim(),
+    similarityThreshold: parseFloat($("similarityThreshold").value || "0.985"),
+    criticalMinSim: parseFloat($("criticalMinSim").value || "0.97"),
+    ignoreRegexes: $("ignoreRegexes").value.split(/\r?\n/).map(s=>s.trim()).filter(Boolean),
+    revisionAuthor: $("revisionAuthor").value.trim(),
+    clauseRules: readClauseRules(),
+    semanticSignificant: $("semanticSignificant").checked,
+    normalization: {
+      steps: Object.fromEntries(NORMALIZE_STEPS.map(st => [st.id, $("norm-" + st.id).checked])),
+      synonyms: $("synonyms").value.split(/\r?\n/).map(s=>s.trim()).filter(Boolean),
+    },
+  };
+}
+
+function applySettings(st){
+  $("criticalClauses").value = st.criticalClauses || "";
+  $("similarityThreshold").value = String(st.similarityThreshold ?? 0.985);
+  $("criticalMinSim").value = String(st.criticalMinSim ?? 0.97);
+  $("ignoreRegexes").value = (st.ignoreRegexes || []).join("\n");
+  $("revisionAuthor").value = st.revisionAuthor || "";
+  $("semanticSignificant").checked = !!st.semanticSignificant;
+  for(const step of NORMALIZE_STEPS) $("norm-" + step.id).checked = st.normalization?.steps?.[step.id] !== false;
+  $("synonyms").value = (st.normalization?.synonyms || []).join("\n");
+  showIgnoreRegexErrors();
+  showSynonymErrors();
+  renderClauseRules(st.clauseRules || []);
+}
+
+// With the etalon, every loaded edition is kept: the primary one as p.etalon, the rest in p.editions
+function profileFromUi(name, withEtalon){
+  const p = { format: PROFILE_FORMAT, version: PROFILE_VERSION, name, saved_at: new Date().toISOString(), settings: currentSettings() };
+  const etalonParsed = primaryEtalon();
+  if(withEtalon && etalonParsed){
+    const stored = (ed) => ({
+      source_file: ed.source_file,
+      clauses: Array.from(ed.clauses.entries()),
+      nodes: Array.from(ed.nodes?.entries() || []),
+      diagnostics: ed.diagnostics || null,
+      outdated: !!ed.outdated,
+    });
+    p.etalon = stored(etalonParsed);
+    const others = etalonEditions.filter(ed => ed !== etalonParsed);
+    if(others.length) p.editions = others.map(stored);
+  }
+  return p;
+}
+
+function renderProfileSelect(selected){
+  const sel = $("profileSelect");
+  sel.innerHTML = "";
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = "— без профиля —";
+  sel.appendChild(none);
+  for(const name of Object.keys(loadProfiles()).sort((a,b)=>a.localeCompare(b, "ru"))){
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = name;
+    sel.appendChild(opt);
+  }
+  sel.value = selected || "";
+}
+
+function showEtalonMeta(){
+  $("etalonDiag").innerHTML = "";
+  $("etalonEditions").innerHTML = "";
+  const etalonParsed = primaryEtalon();
+  if(!etalonParsed){ $("etalonMeta").textContent = ""; return; }
+  if(etalonEditions.length > 1){
+    $("etalonMeta").textContent = `Редакций эталона: ${etalonEditions.length}. Каждый документ сравнивается с самой близкой; отметьте устаревшие.`;
+    for(const ed of etalonEditions){
+      const row = document.createElement("label");
+      row.className = "check";
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = ed.outdated;
+      cb.onchange = () => { ed.outdated = cb.checked; showEtalonMeta(); };
+      row.append(cb, ` устаревшая — ${ed.source_file}: пунктов ${ed.clauses.size}` + (ed === etalonParsed ? " (основная)" : ""));
+      $("etalonEditions").appendChild(row);
+    }
+  } else {
+    const from = etalonParsed.fromProfile ? ` (из профиля «${etalonParsed.fromProfile}», файл ${etalonParsed.source_file})` : "";
+    $("etalonMeta").textContent = `OK${from}: ${etalonParsed.text.length.toLocaleString("ru-RU")} символов, пунктов ${etalonParsed.clauses.size}`;
+  }
+  const diagEl = renderDiagnostics(etalonParsed.diagnostics, "Структура эталона");
+  if(diagEl) $("etalonDiag").appendChild(diagEl);
+  const fields = placeholderSummary(etalonParsed.clauses);
+  if(fields.names.length || fields.errors.length){
+    const note = document.createElement("div");
+    note.className = "small" + (fields.errors.length ? " review-reason" : "");
+    note.textContent = `Поля шаблона: ${fields.names.join(", ")}` +
+      fields.errors.map(e => `\n${formatRef(e.ref)}: ${e.message} — поле принимает любой текст`).join("");
+    $("etalonDiag").appendChild(note);
+  }
+  showClauseRuleErrors();
+}
+
+function applyProfile(p){
+  applySettings(p.settings);
+  $("profileName").value = p.name;
+  $("profileWithEtalon").checked = !!p.etalon;
+  if(p.etalon){
+    etalonEditions = editionsFromProfile(p).map(ed => ({ ...ed, file: null, fromProfile: p.name }));
+    $("etalonFile").value = "";
+    showEtalonMeta();
+  }
+  localStorage.setItem(LAST_PROFILE_KEY, p.name);
+  const editions = p.editions?.length ? ` (редакций: ${p.editions.length + 1})` : "";
+  $("profileMeta").textContent = `Профиль «${p.name}» загружен` + (p.etalon ? `, эталон${editions} взят из профиля.` : ".");
+  setRunEnabled();
+}
+
+function saveProfile(p){
+  const all = loadProfiles();
+  all[p.name] = p;
+  try{
+    storeProfiles(all);
+  }catch(err){
+    throw new Error("Не хватает места в хранилище браузера (попробуйте сохранить без эталона): " + (err?.message || err));
+  }
+  renderProfileSelect(p.name);
+}
+
+// Lists every invalid ignore-regex line under the textarea; returns the compiled set
+function showIgnoreRegexErrors(){
+  const res = compileIgnoreRegexes($("ignoreRegexes").value);
+  const box = $("ignoreRegexErrors");
+  box.innerHTML = "";
+  for(const e of res.errors){
+    const div = document.createElement("div");
+    div.textContent = `Строка ${e.lineNo}: «${e.source}» — ${e.message}`;
+    box.appendChild(div);
+  }
+  return res;
+}
+
+$("ignoreRegexes").addEventListener("input", showIgnoreRegexErrors);
+
+// ---- normalization settings ----
+function renderNormalizeSteps(){
+  const box = $("normalizeSteps");
+  for(const step of NORMALIZE_STEPS){
+    const label = document.createElement("label");
+    label.className = "check";
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.id = "norm-" + step.id;
+    cb.checked = true;
+    label.appendChild(cb);
+    label.append(" " + step.title);
+    box.appendChild(label);
+  }
+}
+renderNormalizeSteps();
+
+function showSynonymErrors(){
+  const lines = $("synonyms").value.split(/\r?\n/);
+  const { errors } = compileNormalization({ synonyms: lines });
+  const box = $("synonymErrors");
+  box.innerHTML = "";
+  for(const e of errors){
+    const div = document.createElement("div");
+    div.textContent = `Строка ${e.lineNo}: «${e.source}» — ${e.message}`;
+    box.appendChild(div);
+  }
+  return errors;
+}
+$("synonyms").addEventListener("input", showSynonymErrors);
+
+// ---- clause rules editor ----
+// One row per rule; phrases are one per line in the textareas.
+function clauseRuleRow(rule){
+  const row = document.createElement("div");
+  row.className = "rule-row";
+  const field = (tag, cls, props) => {
+    const el = document.createElement(tag);
+    el.className = cls;
+    Object.assign(el, props);
+    el.addEventListener("input", showClauseRuleErrors);
+    row.appendChild(el);
+    return el;
+  };
+  field("input", "rule-ref", { type: "text", placeholder: "пункт, напр. 5.3", value: rule.ref || "" });
+  const sev = field("select", "rule-severity", {});
+  for(const s of RULE_SEVERITIES){
+    const opt = document.createElement("option");
+    opt.value = s;
+    opt.textContent = severityText(s);
+    sev.appendChild(opt);
+  }
+  sev.value = RULE_SEVERITIES.includes(rule.severity) ? rule.severity : "warning";
+  field("input", "rule-minsim", { type: "number", step: "0.001", placeholder: "порог (общий)", value: rule.minSim ?? "" });
+  field("textarea", "rule-required", { rows: 2, placeholder: "Обязательные фразы", value: (rule.required || []).join("\n") });
+  field("textarea", "rule-forbidden", { rows: 2, placeholder: "Запрещённые фразы", value: (rule.forbidden || []).join("\n") });
+  const del = document.createElement("button");
+  del.textContent = "✕";
+  del.title = "Удалить правило";
+  del.onclick = () => { row.remove(); showClauseRuleErrors(); };
+  row.appendChild(del);
+  return row;
+}
+
+function renderClauseRules(rules){
+  const box = $("clauseRules");
+  box.innerHTML = "";
+  for(const r of rules) box.appendChild(clauseRuleRow(r));
+  showClauseRuleErrors();
+}
+
+function readClauseRules(){
+  const lines = (el) => el.value.split(/\r?\n/).map(s=>s.trim()).filter(Boolean);
+  return Array.from($("clauseRules").querySelectorAll(".rule-row")).map(row => {
+    const minSim = parseFloat(row.querySelector(".rule-minsim").value);
+    return {
+      ref: row.querySelector(".rule-ref").value.trim(),
+      severity: row.querySelector(".rule-severity").value,
+      minSim: Number.isFinite(minSim) ? minSim : null,
+      required: lines(row.querySelector(".rule-required")),
+      forbidden: lines(row.querySelector(".rule-forbidden")),
+    };
+  }).filter(r => r.ref || r.required.length || r.forbidden.length);
+}
+
+// Invalid regexes, rules without a clause number and clauses the etalon does not have
+function showClauseRuleErrors(){
+  const rules = readClauseRules();
+  const { errors } = compileClauseRules(rules);
+  const box = $("clauseRuleErrors");
+  box.innerHTML = "";
+  const add = (text) => {
+    const div = document.createElement("div");
+    div.textContent = text;
+    box.appendChild(div);
+  };
+  for(const e of errors) add(`${formatRef(e.ref)}: «${e.source}» — ${e.message}`);
+  for(const r of rules){
+    if(!r.ref) add("Правило без номера пункта не применяется");
+    else if(primaryEtalon() && !Array.from(primaryEtalon().clauses.keys()).some(k => k === r.ref || refAncestors(k).includes(r.ref))){
+      add(`${formatRef(r.ref)}: такого пункта нет в эталоне`);
+    }
+  }
+  return errors;
+}
+
+$("addRuleBtn").addEventListener("click", () => {
+  $("clauseRules").appendChild(clauseRuleRow({}));
+});
+
+$("profileSelect").addEventListener("change", () => {
+  const name = $("profileSelect").value;
+  if(!name){
+    localStorage.removeItem(LAST_PROFILE_KEY);
+    $("profileMeta").textContent = "";
+    return;
+  }
+  try{
+    applyProfile(validateProfile(loadProfiles()[name]));
+  }catch(err){
+    $("profileMeta").textContent = "Ошибка профиля: " + (err?.message || err);
+  }
+});
+
+$("profileSaveBtn").addEventListener("click", () => {
+  const name = $("profileName").value.trim() || $("profileSelect").value;
+  if(!name){ $("profileMeta").textContent = "Укажите название профиля."; return; }
+  try{
+    saveProfile(profileFromUi(name, $("profileWithEtalon").checked));
+    localStorage.setItem(LAST_PROFILE_KEY, name);
+    $("profileMeta").textContent = `Профиль «${name}» сохранён.`;
+  }catch(err){
+    $("profileMeta").textContent = err?.message || String(err);
+  }
+});
+
+$("profileDeleteBtn").addEventListener("click", () => {
+  const name = $("profileSelect").value;
+  if(!name || !confirm(`Удалить профиль «${name}»?`)) return;
+  const all = loadProfiles();
+  delete all[name];
+  storeProfiles(all);
+  if(localStorage.getItem(LAST_PROFILE_KEY) === name) localStorage.removeItem(LAST_PROFILE_KEY);
+  renderProfileSelect("");
+  $("profileMeta").textContent = `Профиль «${name}» удалён.`;
+});
+
+$("profileExportBtn").addEventListener("click", () => {
+  const name = $("profileName").value.trim() || $("profileSelect").value || "профиль";
+  const p = profileFromUi(name, $("profileWithEtalon").checked);
+  downloadBlob(sanitizeFilename(name) + ".json", new Blob([JSON.stringify(p, null, 2)], { type: "application/json" }));
+});
+
+$("profileImportBtn").addEventListener("click", () => $("profileImportFile").click());
+$("profileImportFile").addEventListener("change", async (e) => {
+  const f = e.target.files?.[0];
+  e.target.value = "";
+  if(!f) return;
+  try{
+    const p = validateProfile(JSON.parse(await f.text()));
+    saveProfile(p);
+    applyProfile(p);
+  }catch(err){
+    $("profileMeta").textContent = "Ошибка импорта профиля: " + (err?.message || err);
+  }
+});
+
+renderProfileSelect("");
+{
+  const last = localStorage.getItem(LAST_PROFILE_KEY);
+  const p = last && loadProfiles()[last];
+  if(p){
+    try{ applyProfile(validateProfile(p)); renderProfileSelect(p.name); }
+    catch(err){ console.warn(err); }
+  }
+}
+
+// ---- run history (IndexedDB) ----
+// Every run is stored with its per-counterparty results (and, if enabled, the
+// clause texts) so a re-check can show what was fixed since the last version.
+// Results and "reviews" (manual decisions on diffs, see reviewKey()) are found again across
+// runs by the counterparty's identity (see counterpartyIdentity()),
+// "mappings" the clause mapping of each counterparty file (see applyClauseMapping()),
+// "meta" the user's corrections of each file's requisites (see extractDocumentMeta()).
+const HISTORY_DB = "223fz-history";
+const HISTORY_DB_VERSION = 6;
+let historyDbPromise = null;
+
+function idbRequest(req){
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openHistoryDb(){
+  if(!historyDbPromise){
+    const req = indexedDB.open(HISTORY_DB, HISTORY_DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      // up to v4 mappings and corrected requisites were keyed by file name, which counterparties
+      // share ("Положение_о_закупке (3).pdf"): they cannot be told apart, so they are dropped
+      if(e.oldVersion < 5){
+        for(const name of ["mappings", "meta"]) if(db.objectStoreNames.contains(name)) db.deleteObjectStore(name);
+      }
+      // up to v5 history and decisions were found by the batch name, which follows the file name and
+      // the drop order: stored results get their identity, decisions the file name they were made on
+      if(e.oldVersion && e.oldVersion < 6){
+        const results = req.transaction.objectStore("results");
+        results.createIndex("byIdentity", "identity");
+        results.openCursor().onsuccess = (ev) => {
+          const cur = ev.target.result;
+          if(!cur) return;
+          cur.update({ ...cur.value, identity: counterpartyIdentity(cur.value) });
+          cur.continue();
+        };
+        req.transaction.objectStore("reviews").getAll().onsuccess = (ev) => {
+          db.deleteObjectStore("reviews");
+          const st = createReviewsStore(db);
+          for(const { name, ...rec } of ev.target.result){
+            st.put({ ...rec, identity: `file:${name.toLowerCase().replace(/ \(\d+\)$/, "")}` });
+          }
+        };
       }
-      const diffs = compareClauses(etalonParsed.clauses, parsed.clauses, { similarityThreshold, ignoreRegexes });
-      const status = classifyStatus(diffs, criticalSet, criticalMinSim);
-      results.push({ name, status, diffs, source_file: f.name });
-      lastRunState.clients.set(name, { file: f, parsed });
+      if(!db.objectStoreNames.contains("runs")) db.createObjectStore("runs", { keyPath: "id", autoIncrement: true });
+      if(!db.objectStoreNames.contains("results")){
+        const st = db.createObjectStore("results", { keyPath: ["runId", "name"] });
+        st.createIndex("byName", "name");
+        st.createIndex("byRun", "runId");
+        st.createIndex("byIdentity", "identity");
+      }
+      if(!db.objectStoreNames.contains("reviews")) createReviewsStore(db);
+      if(!db.objectStoreNames.contains("mappings")){
+        db.createObjectStore("mappings", { keyPath: "hash" });
+      }
+      if(!db.objectStoreNames.contains("meta")){
+        db.createObjectStore("meta", { keyPath: "hash" });
+      }
+    };
+    historyDbPromise = idbRequest(req);
+  }
+  return historyDbPromise;
+}
+
+function createReviewsStore(db){
+  const st = db.createObjectStore("reviews", { keyPath: ["identity", "key"] });
+  st.createIndex("byIdentity", "identity");
+  return st;
+}
+
+async function historyStore(names, mode){
+  const db = await openHistoryDb();
+  const tx = db.transaction(names, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return { tx, done };
+}
+
+async function saveRunToHistory(state, settings){
+  const keepTexts = $("historyStoreClauses").checked;
+  const { tx, done } = await historyStore(["runs", "results"], "readwrite");
+  const statusCounts = {};
+  for(const r of state.results) statusCounts[r.status] = (statusCounts[r.status] || 0) + 1;
+  const run = {
+    date: new Date().toISOString(),
+    profile: $("profileSelect").value || "",
+    etalon_file: state.etalon?.source_file || "",
+    settings: { ...settings, criticalClauses: Array.from(state.criticalSet) },
+    counterparties: state.results.length,
+    statusCounts,
+    etalon: keepTexts && state.etalon ? { clauses: state.etalon.clauses, nodes: state.etalon.nodes, diagnostics: state.etalon.diagnostics } : null,
+    editions: keepTexts && state.editions
+      ? state.editions.map(ed => ({ source_file: ed.source_file, outdated: ed.outdated, clauses: ed.clauses, nodes: ed.nodes, diagnostics: ed.diagnostics }))
+      : null,
+  };
+  const runId = await idbRequest(tx.objectStore("runs").add(run));
+  for(const r of state.results){
+    const client = state.clients.get(r.name);
+    const { recheck, ...rest } = r;
+    tx.objectStore("results").put({
+      ...rest,
+      runId,
+      date: run.date,
+      clauses: keepTexts && client ? client.parsed.clauses : null,
+      nodes: keepTexts && client ? client.parsed.nodes : null,
+    });
+  }
+  await done;
+  return runId;
+}
+
+// What a result was compared against: the edition's clause texts and the profile. A re-check
+// against another etalon would report the etalon's changes as the counterparty's fixes.
+async function comparisonBasis(r){
+  const et = etalonFor(r);
+  const text = Array.from(et?.clauses || [], ([ref, t]) => `${ref}\t${t}`).join("\n");
+  return { etalon: await sha256(new Blob([text])), etalon_file: et?.source_file || "", profile: lastRunState?.profile || "" };
+}
+
+function sameBasis(a, b){
+  if(!a || !b) return false;
+  const sameEtalon = a.etalon && b.etalon ? a.etalon === b.etalon : a.etalon_file === b.etalon_file;
+  return sameEtalon && a.profile === b.profile;
+}
+
+// Who a result belongs to across runs: "inn:…" from the document's requisites (as corrected by
+// the user), else "org:…", else "file:…" with the file name. The batch name will not do: files of
+// different counterparties share names and get " (2)", " (3)" in the order they were dropped.
+function counterpartyIdentity(r){
+  const inn = String(r.meta?.inn || "").replace(/\D/g, "");
+  if(inn) return `inn:${inn}`;
+  const org = normalizeWS(String(r.meta?.org || "").replace(/["«»“”„']/g, " ")).toLowerCase();
+  if(org) return `org:${org}`;
+  const file = (r.source_file || r.name).split(" + ")[0].split("/").pop().replace(DOCUMENT_RE, "");
+  return `file:${file.toLowerCase()}`;
+}
+
+// Stored results of this counterparty from runs older than beforeRunId (null: any run), latest first
+async function previousResults(identity, beforeRunId){
+  const { tx } = await historyStore(["results"], "readonly");
+  const all = await idbRequest(tx.objectStore("results").index("byIdentity").getAll(identity));
+  const older = all.filter(x => beforeRunId === null || x.runId < beforeRunId);
+  return older.sort((a, b) => b.runId - a.runId);
+}
+
+// Compares with the latest check against the same etalon and profile; when there is only one
+// against another etalon, recheck.otherBasis says which, and nothing is compared. Nor is it when
+// the identity is shared by several documents of this run or of that check (recheck.ambiguous).
+// recheck.byFile: the counterparty was recognised only by its file name.
+async function attachRecheck(results, beforeRunId){
+  const inRun = new Map();
+  for(const x of lastRunState?.results || results){
+    x.identity ??= counterpartyIdentity(x);
+    inRun.set(x.identity, (inRun.get(x.identity) || 0) + 1);
+  }
+  for(const r of results){
+    r.identity ??= counterpartyIdentity(r);
+    const older = await previousResults(r.identity, beforeRunId);
+    const prev = older.find(x => sameBasis(x.basis, r.basis));
+    const byFile = r.identity.startsWith("file:");
+    if(inRun.get(r.identity) > 1){
+      r.recheck = older.length ? { since: older[0].date, prevStatus: older[0].status, ambiguous: "run", byFile } : null;
+    } else if(prev && older.filter(x => x.runId === prev.runId && sameBasis(x.basis, r.basis)).length > 1){
+      r.recheck = { since: prev.date, prevStatus: prev.status, ambiguous: "history", byFile };
+    } else if(prev){
+      r.recheck = { since: prev.date, prevStatus: prev.status, byFile, ...compareRuns(prev.diffs, r.diffs) };
+    } else {
+      r.recheck = older.length ? { since: older[0].date, prevStatus: older[0].status, otherBasis: older[0].basis || null } : null;
+    }
+  }
+}
+
+async function listRuns(){
+  const { tx } = await historyStore(["runs"], "readonly");
+  const runs = await idbRequest(tx.objectStore("runs").getAll());
+  return runs.sort((a, b) => b.id - a.id);
+}
+
+async function deleteRun(runId){
+  const { tx, done } = await historyStore(["runs", "results"], "readwrite");
+  tx.objectStore("runs").delete(runId);
+  const keys = await idbRequest(tx.objectStore("results").index("byRun").getAllKeys(runId));
+  for(const k of keys) tx.objectStore("results").delete(k);
+  await done;
+}
+
+async function clearHistory(){
+  const { tx, done } = await historyStore(["runs", "results"], "readwrite");
+  tx.objectStore("runs").clear();
+  tx.objectStore("results").clear();
+  await done;
+}
+
+// Shows a stored run in the results section (diff texts only if they were kept)
+async function openRun(runId){
+  const { tx } = await historyStore(["runs", "results"], "readonly");
+  const run = await idbRequest(tx.objectStore("runs").get(runId));
+  const stored = await idbRequest(tx.objectStore("results").index("byRun").getAll(runId));
+  if(!run) return;
+  const results = stored.map(({ runId: _r, date: _d, clauses: _c, nodes: _n, ...r }) => r);
+  const clients = new Map();
+  for(const x of stored) if(x.clauses) clients.set(x.name, { file: null, parsed: { clauses: x.clauses, nodes: x.nodes } });
+  lastRunState = {
+    clients,
+    etalon: run.etalon ? { source_file: run.etalon_file, ...run.etalon } : null,
+    editions: run.editions || null,
+    criticalSet: new Set(run.settings?.criticalClauses || []),
+    criticalMinSim: run.settings?.criticalMinSim ?? 0.97,
+    normalization: run.settings?.normalization || null,
+    results,
+    runId,
+    profile: run.profile || "",
+  };
+  await attachRecheck(results, runId);
+  renderSummary(results);
+  renderResults(results, lastRunState.criticalSet);
+  setStatus(`Открыта проверка от ${formatDate(run.date)}` + (run.etalon ? "" : " (тексты пунктов не сохранялись)"));
+}
+
+function formatDate(iso){
+  return new Date(iso).toLocaleString("ru-RU");
+}
+
+async function renderHistory(){
+  const root = $("history");
+  let runs = [];
+  try{
+    runs = await listRuns();
+  }catch(err){
+    root.textContent = "История недоступна: " + (err?.message || err);
+    return;
+  }
+  root.innerHTML = "";
+  if(!runs.length){
+    root.innerHTML = `<div class="small">Проверок пока нет.</div>`;
+    return;
+  }
+  for(const run of runs){
+    const row = document.createElement("div");
+    row.className = "history-row";
+    const info = document.createElement("div");
+    const counts = Object.entries(run.statusCounts || {}).map(([st, n]) => `${statusText(st)}: ${n}`).join(", ");
+    info.textContent = `${formatDate(run.date)} • ${run.profile ? "профиль «" + run.profile + "» • " : ""}эталон: ${run.etalon_file || "—"} • контрагентов: ${run.counterparties}` + (counts ? ` (${counts})` : "");
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    const open = document.createElement("button");
+    open.textContent = "Открыть";
+    open.onclick = () => openRun(run.id).catch(err => setStatus("Ошибка истории: " + (err?.message || err)));
+    const del = document.createElement("button");
+    del.textContent = "Удалить";
+    del.onclick = async () => {
+      if(!confirm("Удалить эту проверку из истории?")) return;
+      await deleteRun(run.id);
+      await renderHistory();
+    };
+    actions.appendChild(open);
+    actions.appendChild(del);
+    row.appendChild(info);
+    row.appendChild(actions);
+    root.appendChild(row);
+  }
+}
+
+$("historyClearBtn").addEventListener("click", async () => {
+  if(!confirm("Удалить всю историю проверок?")) return;
+  await clearHistory();
+  await renderHistory();
+});
+
+renderHistory();
+
+// ---- manual review ----
+// Decisions live on the diffs (d.review) and in the "reviews" store; the stored run
+// result is updated too, so the history and exports show the reviewed status.
+function refreshReviewedStatus(r){
+  if(r.auto_status === undefined){
+    r.auto_status = r.status;
+    r.auto_rule_failures = r.rule_failures || [];
+  }
+  const { status, failures } = reviewedStatus(r, lastRunState.criticalSet, lastRunState.criticalMinSim);
+  r.status = status;
+  r.rule_failures = failures;
+}
+
+// Brings back decisions made on the same clause texts in earlier runs
+async function attachReviews(results){
+  const { tx } = await historyStore(["reviews"], "readonly");
+  const store = tx.objectStore("reviews").index("byIdentity");
+  for(const r of results){
+    const texts = clauseMaps(r);
+    if(!texts || !r.diffs.length) continue;
+    r.identity ??= counterpartyIdentity(r);
+    const saved = new Map((await idbRequest(store.getAll(r.identity))).map(x => [x.key, x]));
+    let found = false;
+    for(const d of r.diffs){
+      const rec = saved.get(reviewKey(d, texts.etalon, texts.client));
+      if(!rec) continue;
+      d.review = { decision: rec.decision, comment: rec.comment, by: rec.by, date: rec.date };
+      found = true;
+    }
+    if(found) refreshReviewedStatus(r);
+  }
+}
+
+// rv: { decision, comment } or null to drop the decision
+async function saveDecision(r, d, rv){
+  const texts = clauseMaps(r);
+  if(!texts) throw new Error("тексты пунктов не сохранены");
+  const key = reviewKey(d, texts.etalon, texts.client);
+  const { tx, done } = await historyStore(["reviews"], "readwrite");
+  if(rv && (rv.decision || rv.comment)){
+    d.review = { decision: rv.decision || null, comment: rv.comment || "", by: $("revisionAuthor").value.trim(), date: new Date().toISOString() };
+    tx.objectStore("reviews").put({ identity: r.identity, key, ...d.review });
+  } else {
+    delete d.review;
+    tx.objectStore("reviews").delete([r.identity, key]);
+  }
+  await done;
+}
+
+// Writes a reviewed or re-compared result back into its stored run
+async function persistResult(r){
+  const runId = lastRunState?.runId;
+  if(!runId) return;
+  const { tx, done } = await historyStore(["runs", "results"], "readwrite");
+  const stored = await idbRequest(tx.objectStore("results").get([runId, r.name]));
+  if(stored){
+    const { recheck, ...rest } = r;
+    tx.objectStore("results").put({ ...stored, ...rest });
+  }
+  const run = await idbRequest(tx.objectStore("runs").get(runId));
+  if(run){
+    run.statusCounts = {};
+    for(const x of lastRunState.results) run.statusCounts[x.status] = (run.statusCounts[x.status] || 0) + 1;
+    tx.objectStore("runs").put(run);
+  }
+  await done;
+  await renderHistory();
+}
+
+function renderReviewBar(r, d, onChange){
+  const bar = document.createElement("div");
+  bar.className = "review-bar";
+  const comment = document.createElement("textarea");
+  comment.rows = 2;
+  comment.placeholder = "Комментарий юриста";
+  comment.value = d.review?.comment || "";
+  const button = (label, decision) => {
+    const btn = document.createElement("button");
+    btn.textContent = label;
+    if(decision && d.review?.decision === decision) btn.className = "primary";
+    btn.onclick = () => onChange({ decision, comment: comment.value.trim() });
+    bar.appendChild(btn);
+  };
+  button("Допустимое отклонение", "accepted");
+  button("Нарушение", "violation");
+  button("Сохранить комментарий", d.review?.decision || null);
+  if(d.review){
+    const reset = document.createElement("button");
+    reset.textContent = "Снять решение";
+    reset.onclick = () => onChange(null);
+    bar.appendChild(reset);
+  }
+  bar.appendChild(comment);
+  if(!clauseMaps(r)){
+    for(const el of bar.querySelectorAll("button, textarea")) el.disabled = true;
+    comment.placeholder = "Решения недоступны: тексты пунктов этой проверки не сохранены";
+  }
+  return bar;
+}
+
+// Manual status with a mandatory reason; onApply(null) returns to the computed status
+function renderOverrideForm(r, onApply){
+  const form = document.createElement("div");
+  form.className = "override-form actions";
+  const sel = document.createElement("select");
+  for(const st of OVERRIDE_STATUSES){
+    const opt = document.createElement("option");
+    opt.value = st;
+    opt.textContent = statusText(st);
+    sel.appendChild(opt);
+  }
+  sel.value = r.override?.status || r.status;
+  const reason = document.createElement("input");
+  reason.type = "text";
+  reason.placeholder = "Причина (обязательно)";
+  reason.value = r.override?.reason || "";
+  const apply = document.createElement("button");
+  apply.textContent = "Применить";
+  apply.onclick = () => {
+    const text = reason.value.trim();
+    if(!text){ reason.focus(); setStatus("Укажите причину ручного статуса"); return; }
+    onApply({ status: sel.value, reason: text, by: $("revisionAuthor").value.trim(), date: new Date().toISOString() });
+  };
+  form.append(sel, reason, apply);
+  if(r.override){
+    const reset = document.createElement("button");
+    reset.textContent = "Вернуть автоматический";
+    reset.onclick = () => onApply(null);
+    form.appendChild(reset);
+  }
+  return form;
+}
+
+// ---- counterparty metadata ----
+// Organisation, requisites and approval found by extractDocumentMeta(). Corrections are kept
+// per document content (r.content_hash), like clause mappings, and replace the extracted values
+// on every later run of the same document; r.auto_meta then holds what was extracted.
+async function loadMeta(hash){
+  if(!hash) return null;
+  const { tx } = await historyStore(["meta"], "readonly");
+  return (await idbRequest(tx.objectStore("meta").get(hash)))?.meta || null;
+}
+
+async function saveMeta(r, meta){
+  if(!r.content_hash) throw new Error(NO_HASH_MESSAGE);
+  const { tx, done } = await historyStore(["meta"], "readwrite");
+  if(meta) tx.objectStore("meta").put({ hash: r.content_hash, file: r.source_file, meta, date: new Date().toISOString() });
+  else tx.objectStore("meta").delete(r.content_hash);
+  await done;
+}
+
+// One input per META_FIELDS entry; onApply(meta) gets the edited values, onApply(null) means
+// "back to the extracted ones"
+function renderMetaForm(r, onApply){
+  const form = document.createElement("div");
+  form.className = "meta-form";
+  const inputs = new Map();
+  for(const [key, label] of META_FIELDS){
+    const lab = document.createElement("label");
+    lab.className = "small";
+    lab.textContent = label;
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = r.meta?.[key] || "";
+    lab.appendChild(input);
+    form.appendChild(lab);
+    inputs.set(key, input);
+  }
+  const actions = document.createElement("div");
+  actions.className = "actions";
+  const apply = document.createElement("button");
+  apply.textContent = "Сохранить";
+  apply.onclick = () => {
+    const meta = {};
+    for(const [key, input] of inputs){
+      const v = normalizeWS(input.value);
+      if(v) meta[key] = v;
+    }
+    onApply(meta);
+  };
+  actions.appendChild(apply);
+  if(r.auto_meta){
+    const reset = document.createElement("button");
+    reset.textContent = "Как в документе";
+    reset.onclick = () => onApply(null);
+    actions.appendChild(reset);
+  }
+  form.appendChild(actions);
+  return form;
+}
+
+// ---- etalon editions ----
+// Worker payload part: the only etalon or all editions to pick from
+function etalonPayload(){
+  if(!lastRunState.editions) return { etalon: lastRunState.etalon.clauses };
+  return { editions: lastRunState.editions.map(ed => ({ source_file: ed.source_file, clauses: ed.clauses, outdated: ed.outdated })) };
+}
+
+// The edition a result was compared with
+function etalonFor(r){
+  return lastRunState?.editions?.[r.edition?.index] ?? lastRunState?.etalon;
+}
+
+// ---- clause mapping ----
+// Manual pairing for documents the automatic alignment gets wrong. The mapping is kept
+// per document content (SHA-256) and applied on every later run of the same document.
+
+// Clause texts a result's diffs refer to: the parsed maps or, with a clause mapping,
+// the split/joined ones it was compared on
+function clauseMaps(r){
+  const etalon = etalonFor(r)?.clauses;
+  const client = lastRunState?.clients?.get(r.name);
+  if(!etalon || !client) return null;
+  if(mappingIsEmpty(r.mapping)) return { etalon, client: client.parsed.clauses };
+  if(client.mapped?.mapping !== r.mapping){
+    client.mapped = { mapping: r.mapping, ...applyClauseMapping(etalon, client.parsed.clauses, r.mapping) };
+  }
+  return { etalon: client.mapped.etalon, client: client.mapped.client };
+}
+
+// Per document content (r.content_hash): another counterparty's file of the same name is another document
+const NO_HASH_MESSAGE = "нет контрольной суммы файла (SHA-256 доступен только на https или localhost)";
+
+async function loadMapping(hash){
+  if(!hash) return null;
+  const { tx } = await historyStore(["mappings"], "readonly");
+  const rec = await idbRequest(tx.objectStore("mappings").get(hash));
+  return rec && !mappingIsEmpty(rec.mapping) ? rec.mapping : null;
+}
+
+async function saveMapping(r, mapping){
+  if(!r.content_hash) throw new Error(NO_HASH_MESSAGE);
+  const { tx, done } = await historyStore(["mappings"], "readwrite");
+  if(mappingIsEmpty(mapping)) tx.objectStore("mappings").delete(r.content_hash);
+  else tx.objectStore("mappings").put({ hash: r.content_hash, file: r.source_file, mapping, date: new Date().toISOString() });
+  await done;
+}
+
+// Only the current run keeps the document text and settings needed to compare again
+function canRecompare(r){
+  return !!(lastRunState?.opts && lastRunState.clients.get(r.name)?.parsed?.text);
+}
+
+async function recompareCounterparty(r){
+  const parsed = lastRunState.clients.get(r.name).parsed;
+  const verdict = await getPool().run("compare", {
+    ...etalonPayload(),
+    client: { text: parsed.text, clauses: parsed.clauses, diagnostics: parsed.diagnostics, mapping: r.mapping || null },
+    opts: lastRunState.opts,
+  });
+  for(const key of ["absent", "mapping_errors", "edition", "placeholders", "auto_status", "auto_rule_failures"]) delete r[key];
+  Object.assign(r, verdict);
+  await attachReviews([r]);
+  refreshReviewedStatus(r);
+  r.basis = await comparisonBasis(r);
+  await attachRecheck([r], lastRunState.runId);
+}
+
+// Etalon and document clauses side by side: tick clauses on both sides and link them
+// (1:1, 1:n, n:1), mark etalon clauses as intentionally absent or split a document clause.
+// onApply(mapping) gets the edited copy; r.mapping is not touched here.
+function renderMappingEditor(r, onApply){
+  const etalon = etalonFor(r)?.clauses;
+  const raw = lastRunState?.clients?.get(r.name)?.parsed?.clauses;
+  const box = document.createElement("div");
+  box.className = "mapping";
+  if(!etalon || !raw){
+    box.className += " small";
+    box.textContent = "Тексты пунктов этой проверки не сохранены — сопоставление недоступно.";
+    return box;
+  }
+  const mapping = { splits: [], links: [], absent: [], ...structuredClone(r.mapping || {}) };
+  const picked = { etalon: new Set(), client: new Set() };
+  let splitRef = null;
+
+  const button = (label, onClick, disabled) => {
+    const btn = document.createElement("button");
+    btn.textContent = label;
+    btn.disabled = !!disabled;
+    btn.onclick = () => { onClick(); draw(); };
+    return btn;
+  };
+  // a clause belongs to at most one link (or the absent list)
+  const release = (side, refs) => {
+    mapping.links = mapping.links
+      .map(l => ({ ...l, [side]: l[side].filter(ref => !refs.includes(ref)) }))
+      .filter(l => l.etalon.length && l.client.length);
+    if(side === "etalon") mapping.absent = mapping.absent.filter(ref => !refs.includes(ref));
+  };
+  const setSplit = (ref, at) => {
+    release("client", Array.from(splitClauses(raw, mapping.splits).keys()).filter(k => k === ref || k.startsWith(ref + "#")));
+    picked.client.clear();
+    mapping.splits = mapping.splits.filter(x => x.ref !== ref);
+    if(at.length) mapping.splits.push({ ref, at });
+  };
+
+  function column(title, map, side, labelOf){
+    const col = document.createElement("div");
+    col.className = "col";
+    const h = document.createElement("h4");
+    h.textContent = title;
+    col.appendChild(h);
+    const list = document.createElement("div");
+    list.className = "mapping-list";
+    for(const [ref, text] of map){
+      const row = document.createElement("label");
+      row.className = "mapping-row";
+      const note = labelOf(ref);
+      if(note) row.classList.add("mapped");
+      row.title = text;
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = picked[side].has(ref);
+      cb.onchange = () => { cb.checked ? picked[side].add(ref) : picked[side].delete(ref); draw(); };
+      const refEl = document.createElement("b");
+      refEl.textContent = formatRef(ref);
+      const t = document.createElement("span");
+      t.textContent = (note ? `[${note}] ` : "") + (text.length > 120 ? text.slice(0, 120) + "…" : text);
+      row.append(cb, refEl, t);
+      list.appendChild(row);
+    }
+    col.appendChild(list);
+    return col;
+  }
+
+  function draw(){
+    box.replaceChildren();
+    const client = splitClauses(raw, mapping.splits);
+    const linkOf = (side) => (ref) => {
+      const l = mapping.links.find(x => x[side].includes(ref));
+      if(l) return "↔ " + l[side === "etalon" ? "client" : "etalon"].join(", ");
+      return side === "etalon" && mapping.absent.includes(ref) ? "намеренно отсутствует" : "";
+    };
+    const cols = document.createElement("div");
+    cols.className = "split";
+    cols.append(column("Эталон", etalon, "etalon", linkOf("etalon")), column("Документ", client, "client", linkOf("client")));
+    box.appendChild(cols);
+
+    const inOrder = (map, set) => Array.from(map.keys()).filter(ref => set.has(ref));
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    actions.append(
+      button("Связать выбранные", () => {
+        const et = inOrder(etalon, picked.etalon), cl = inOrder(client, picked.client);
+        release("etalon", et);
+        release("client", cl);
+        mapping.links.push({ etalon: et, client: cl });
+        picked.etalon.clear();
+        picked.client.clear();
+      }, !picked.etalon.size || !picked.client.size),
+      button("Намеренно отсутствует", () => {
+        const et = inOrder(etalon, picked.etalon);
+        release("etalon", et);
+        mapping.absent.push(...et);
+        picked.etalon.clear();
+      }, !picked.etalon.size || picked.client.size),
+      button("Разделить пункт документа…", () => {
+        splitRef = [...picked.client][0].replace(/#\d+$/, "");
+      }, picked.client.size !== 1 || picked.etalon.size),
+    );
+    box.appendChild(actions);
+
+    if(splitRef){
+      const text = raw.get(splitRef) || "";
+      const at = mapping.splits.find(x => x.ref === splitRef)?.at || [];
+      const panel = document.createElement("div");
+      panel.className = "mapping-split";
+      const hint = document.createElement("div");
+      hint.className = "small";
+      hint.textContent = `${formatRef(splitRef)}: поставьте курсор туда, где начинается следующая часть` + (at.length ? ` (сейчас частей: ${at.length + 1})` : "");
+      const area = document.createElement("textarea");
+      area.readOnly = true;
+      area.rows = 5;
+      area.value = text;
+      const row = document.createElement("div");
+      row.className = "actions";
+      row.append(
+        button("Разделить здесь", () => setSplit(splitRef, [...at, area.selectionStart].sort((a, b) => a - b))),
+        button("Убрать разделение", () => setSplit(splitRef, []), !at.length),
+        button("Готово", () => { splitRef = null; }),
+      );
+      panel.append(hint, area, row);
+      box.appendChild(panel);
+    }
+
+    const { errors } = applyClauseMapping(etalon, raw, mapping);
+    if(errors.length){
+      const err = document.createElement("div");
+      err.className = "small review-reason";
+      err.textContent = "Пропущено (пунктов больше нет в документах): " + errors.join("; ");
+      box.appendChild(err);
+    }
+
+    const footer = document.createElement("div");
+    footer.className = "actions";
+    footer.append(
+      button("Применить и сравнить заново", () => onApply(structuredClone(mapping))),
+      button("Скачать JSON", () => downloadBlob(`${r.source_file}.mapping.json`,
+        new Blob([JSON.stringify(mapping, null, 2)], { type: "application/json" })), mappingIsEmpty(mapping)),
+      button("Сбросить", () => { Object.assign(mapping, { splits: [], links: [], absent: [] }); splitRef = null; }, mappingIsEmpty(mapping)),
+    );
+    box.appendChild(footer);
+  }
+
+  draw();
+  return box;
+}
+
+// Per-file progress for the status line while a run is active
+function renderProgress(run){
+  const active = [];
+  for(const [name, stage] of run.progress) active.push(`${name}: ${stage}`);
+  setStatus(`Обработано контрагентов: ${run.done}/${run.total}` + (active.length ? " • " + active.join(" • ") : ""));
+}
+
+$("cancelBtn").addEventListener("click", () => {
+  if(!activeRun) return;
+  activeRun.cancelled = true;
+  pool?.terminate();
+  pool = null;
+  setStatus("Отмена…");
+});
+
+$("runBtn").addEventListener("click", async () => {
+  const { regexErrors, ruleErrors, normalizationErrors, ...opts } = optionsFromSettings(currentSettings());
+  showIgnoreRegexErrors();
+  showClauseRuleErrors();
+  showSynonymErrors();
+  if(regexErrors.length){
+    setStatus(`Исправьте ошибки в игнорируемых фрагментах (regex): ${regexErrors.length}`);
+    return;
+  }
+  if(normalizationErrors.length){
+    setStatus(`Исправьте ошибки в словаре эквивалентов: ${normalizationErrors.length}`);
+    return;
+  }
+  if(ruleErrors.length){
+    setStatus(`Исправьте ошибки в правилах по пунктам: ${ruleErrors.length}`);
+    return;
+  }
+
+  setStatus("Думаю...");
+  renderSummary([]);
+  $("results").innerHTML = `<div class="result-status">Сравниваю…</div>`;
+  // current editions first: on equal scores the document is compared with a current one
+  const editions = etalonEditions.length > 1 ? [...etalonEditions].sort((a, b) => a.outdated - b.outdated) : null;
+  lastRunState = { clients: new Map(), etalon: primaryEtalon(), editions };
+
+  const { criticalSet, similarityThreshold, criticalMinSim } = opts;
+
+  const counterparties = batchCounterparties();
+  const run = { cancelled: false, done: 0, total: counterparties.length, progress: new Map() };
+  activeRun = run;
+  $("runBtn").disabled = true;
+  $("cancelBtn").disabled = false;
+  renderBatch();
+  renderProgress(run);
+
+  const results = await runLimited(counterparties, getPool().size, async ({ name, source_file, content_hash, files }) => {
+    const report = (stage) => {
+      if(run.cancelled) throw cancelledError();
+      run.progress.set(name, stage);
+      renderProgress(run);
+    };
+    try{
+      const parsed = await fileToParsed(files, report);
+      const mapping = await loadMapping(content_hash).catch(() => null);
+      const savedMeta = await loadMeta(content_hash).catch(() => null);
+      report("сравнение");
+      const verdict = await getPool().run(
+        "compare",
+        { ...etalonPayload(), client: { text: parsed.text, clauses: parsed.clauses, diagnostics: parsed.diagnostics, mapping }, opts },
+        (done, total) => report(`пункты ${done}/${total}`)
+      );
+      lastRunState.clients.set(name, { files, parsed });
+      return {
+        name, ...verdict, diagnostics: parsed.diagnostics, source_file, content_hash, ...(mapping ? { mapping } : {}),
+        meta: savedMeta || parsed.meta, ...(savedMeta ? { auto_meta: parsed.meta } : {}),
+      };
     }catch(err){
+      if(run.cancelled) return null;
       console.error(err);
-      results.push({ name, status: "NEEDS_REVIEW", diffs: [], source_file: f.name, error: err?.message || String(err) });
+      const error = err?.message || String(err);
+      if(err?.name === "FormatError") return { name, status: "UNREADABLE", review_reason: error, diffs: [], source_file, content_hash, error };
+      return { name, status: "NEEDS_REVIEW", review_reason: "Ошибка обработки: " + error, diffs: [], source_file, content_hash, error };
+    }finally{
+      run.progress.delete(name);
+      run.done++;
+      if(!run.cancelled) renderProgress(run);
+    }
+  });
+
+  activeRun = null;
+  $("cancelBtn").disabled = true;
+  renderBatch();
+
+  if(run.cancelled){
+    lastRunState = null;
+    $("results").innerHTML = `<div class="result-status">Сравнение отменено.</div>`;
+    setStatus("");
+    return;
+  }
+
+  lastRunState.criticalSet = criticalSet;
+  lastRunState.opts = opts;
+  lastRunState.normalization = opts.normalization;
+  lastRunState.criticalMinSim = criticalMinSim;
+  lastRunState.results = results;
+  lastRunState.profile = $("profileSelect").value || "";
+
+  let historyError = null;
+  try{
+    for(const r of results){
+      r.basis = await comparisonBasis(r);
+      r.identity = counterpartyIdentity(r);
     }
+    await attachReviews(results);
+    await attachRecheck(results, null);
+    lastRunState.runId = await saveRunToHistory(lastRunState, { similarityThreshold, criticalMinSim, normalization: opts.normalization });
+    await renderHistory();
+  }catch(err){
+    console.error(err);
+    historyError = err?.message || String(err);
   }
 
   renderSummary(results);
   renderResults(results, criticalSet);
-  lastRunState.criticalSet = criticalSet;
 
-  setStatus("");
+  setStatus(historyError ? "Не удалось сохранить историю: " + historyError : "");
 });
 
 function renderSummary(results){
   // Сводная строка убрана по запросу.
   setSummary("");
+  for(const id of ["exportXlsxBtn", "exportCsvBtn", "exportDiffsCsvBtn"]) $(id).disabled = !results.length;
+}
+
+$("exportXlsxBtn").addEventListener("click", () => {
+  if(lastRunState?.results) exportSummaryXlsx(lastRunState.results);
+});
+$("exportCsvBtn").addEventListener("click", () => {
+  if(lastRunState?.results) exportSummaryCsv(lastRunState.results, "counterparties");
+});
+$("exportDiffsCsvBtn").addEventListener("click", () => {
+  if(lastRunState?.results) exportSummaryCsv(lastRunState.results, "diffs");
+});
+
+// ---- results filter and navigation ----
+// The toolbar state is kept in the URL hash (#status=DIFFS&q=…) so a view can be bookmarked.
+const FILTER_FIELDS = [
+  // [hash key, element id, property]
+  ["view", "resultsView", "value"],
+  ["name", "fltName", "value"],
+  ["status", "fltStatus", "value"],
+  ["type", "fltType", "value"],
+  ["sem", "diffFilter", "value"],
+  ["crit", "fltCritical", "checked"],
+  ["smin", "fltSimMin", "value"],
+  ["smax", "fltSimMax", "value"],
+  ["q", "fltSearch", "value"],
+];
+const TYPED_FILTERS = new Set(["fltName", "fltSimMin", "fltSimMax", "fltSearch"]);
+
+function readResultsFilter(){
+  const num = (id) => $(id).value === "" ? null : Number($(id).value);
+  return {
+    name: $("fltName").value.trim().toLowerCase(),
+    status: $("fltStatus").value,
+    type: $("fltType").value,
+    semantic: $("diffFilter").value,
+    critical: $("fltCritical").checked,
+    simMin: num("fltSimMin"),
+    simMax: num("fltSimMax"),
+    q: normalizeWS($("fltSearch").value).toLowerCase(),
+  };
+}
+
+function hasDiffFilter(f){
+  return !!(f.type || f.semantic || f.critical || f.simMin !== null || f.simMax !== null || f.q);
 }
 
+// f.semantic: "" — all, "semantic" — any semantic change, "sem:<CATEGORY>" — that category.
+// Diffs without a similarity (MISSING, EXTRA) drop out once a similarity bound is set.
+function diffMatches(d, r, f, criticalSet){
+  if(f.type && d.diff_type !== f.type) return false;
+  if(f.semantic === "semantic" && !d.semantic?.length) return false;
+  if(f.semantic.startsWith("sem:") && !(d.semantic || []).includes(f.semantic.slice(4))) return false;
+  if(f.critical && !isCriticalDiff(d, criticalSet)) return false;
+  if(f.simMin !== null && !(d.similarity >= f.simMin)) return false;
+  if(f.simMax !== null && !(d.similarity <= f.simMax)) return false;
+  if(f.q){
+    const maps = clauseMaps(r);
+    const { leftText, rightText } = diffTexts(d, maps?.etalon, maps?.client);
+    if(![leftText, rightText].some(t => normalizeWS(t).toLowerCase().includes(f.q))) return false;
+  }
+  return true;
+}
+
+function counterpartyMatches(r, f, criticalSet){
+  if(f.status && r.status !== f.status) return false;
+  if(f.name && ![r.name, counterpartyTitle(r)].some(n => n.toLowerCase().includes(f.name))) return false;
+  return !hasDiffFilter(f) || r.diffs.some(d => diffMatches(d, r, f, criticalSet));
+}
+
+function fieldDefault(el){
+  return el.tagName === "SELECT" ? el.options[0]?.value ?? "" : "";
+}
+
+function writeFilterHash(){
+  const params = new URLSearchParams();
+  for(const [key, id, prop] of FILTER_FIELDS){
+    const el = $(id);
+    if(prop === "checked"){ if(el.checked) params.set(key, "1"); }
+    else if(el.value !== fieldDefault(el)) params.set(key, el.value);
+  }
+  const hash = params.toString();
+  history.replaceState(null, "", hash ? "#" + hash : location.pathname + location.search);
+}
+
+function readFilterHash(){
+  const params = new URLSearchParams(location.hash.slice(1));
+  for(const [key, id, prop] of FILTER_FIELDS){
+    const el = $(id);
+    if(prop === "checked") el.checked = params.get(key) === "1";
+    else el.value = params.get(key) ?? fieldDefault(el);
+  }
+}
+
+function renderFilterOptions(){
+  const sel = $("diffFilter");
+  for(const c of SEMANTIC_CATEGORIES){
+    const opt = document.createElement("option");
+    opt.value = "sem:" + c;
+    opt.textContent = "Изменены " + semanticText(c);
+    sel.appendChild(opt);
+  }
+  for(const t of DIFF_TYPES){
+    const opt = document.createElement("option");
+    opt.value = t;
+    opt.textContent = t;
+    $("fltType").appendChild(opt);
+  }
+}
+renderFilterOptions();
+readFilterHash();
+
+function refreshResults(){
+  writeFilterHash();
+  if(lastRunState?.results) renderResults(lastRunState.results, lastRunState.criticalSet);
+}
+let filterTimer = null;
+for(const [, id] of FILTER_FIELDS){
+  if(TYPED_FILTERS.has(id)){
+    $(id).addEventListener("input", () => {
+      clearTimeout(filterTimer);
+      filterTimer = setTimeout(refreshResults, 250);
+    });
+  } else {
+    $(id).addEventListener("change", refreshResults);
+  }
+}
+$("fltResetBtn").addEventListener("click", () => {
+  for(const [, id, prop] of FILTER_FIELDS){
+    if(id === "resultsView") continue;
+    if(prop === "checked") $(id).checked = false;
+    else $(id).value = fieldDefault($(id));
+  }
+  refreshResults();
+});
+window.addEventListener("hashchange", () => {
+  readFilterHash();
+  if(lastRunState?.results) renderResults(lastRunState.results, lastRunState.criticalSet);
+});
+
+// Wraps every occurrence of query (lower case) in <mark>, also across the diff's fragments
+function highlightMatches(root, query){
+  if(!query) return;
+  const nodes = [];
+  let text = "";
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  while(walker.nextNode()){
+    nodes.push({ node: walker.currentNode, start: text.length });
+    text += walker.currentNode.data;
+  }
+  const hay = text.toLowerCase();
+  const found = [];
+  for(let i = hay.indexOf(query); i >= 0; i = hay.indexOf(query, i + query.length)) found.push([i, i + query.length]);
+  // from the end, so the offsets of what is still to wrap stay valid
+  for(const [from, to] of found.reverse()){
+    for(const { node, start } of [...nodes].reverse()){
+      const end = start + node.data.length;
+      if(end <= from || start >= to) continue;
+      const range = document.createRange();
+      range.setStart(node, Math.max(from, start) - start);
+      range.setEnd(node, Math.min(to, end) - start);
+      range.surroundContents(document.createElement("mark"));
+    }
+  }
+}
+
+function setAllDiffsOpen(open){
+  for(const el of $("results").querySelectorAll("details.diff-item")) el.open = open;
+}
+
+// Moves the "current" mark to the next/previous visible diff and opens it
+function stepDiff(dir){
+  const items = Array.from($("results").querySelectorAll("details.diff-item"));
+  if(!items.length) return;
+  const cur = items.findIndex(el => el.classList.contains("current"));
+  const next = cur < 0 ? (dir > 0 ? 0 : items.length - 1) : Math.min(items.length - 1, Math.max(0, cur + dir));
+  items[cur]?.classList.remove("current");
+  items[next].classList.add("current");
+  items[next].open = true;
+  items[next].scrollIntoView({ block: "start", behavior: "smooth" });
+}
+
+$("expandAllBtn").addEventListener("click", () => setAllDiffsOpen(true));
+$("collapseAllBtn").addEventListener("click", () => setAllDiffsOpen(false));
+$("nextDiffBtn").addEventListener("click", () => stepDiff(1));
+$("prevDiffBtn").addEventListener("click", () => stepDiff(-1));
+// j / k as in mail clients; by key position, so it works with the Russian layout too
+document.addEventListener("keydown", (e) => {
+  if(e.ctrlKey || e.metaKey || e.altKey || e.target.closest?.("input, textarea, select")) return;
+  if(e.code === "KeyJ") stepDiff(1);
+  else if(e.code === "KeyK") stepDiff(-1);
+  else return;
+  e.preventDefault();
+});
+
 function renderResults(results, criticalSet){
   const root = $("results");
   root.innerHTML = "";
+  const filter = readResultsFilter();
+  const shown = results.filter(r => counterpartyMatches(r, filter, criticalSet));
+  $("filterCount").textContent = shown.length !== results.length ? `Показано контрагентов: ${shown.length} из ${results.length}` : "";
+  if(!shown.length && results.length){
+    root.innerHTML = `<div class="result-status">Нет результатов под выбранные фильтры.</div>`;
+    return;
+  }
+  if($("resultsView").value === "matrix"){
+    root.appendChild(renderMatrix(shown, criticalSet, filter));
+    return;
+  }
+  results.forEach((r, idx) => {
+    if(shown.includes(r)) root.appendChild(renderCounterparty(r, idx, criticalSet, filter));
+  });
+}
+
+// ---- clause × counterparty matrix ----
+const MATRIX_KIND_TEXT = {
+  same: "без изменений", renumbered: "перенумерован", changed: "изменён",
+  missing: "отсутствует", absent: "намеренно отсутствует", na: "не сравнивался",
+};
+let matrixSort = "order"; // "order" — as in the etalon, "deviating" — most deviations first
+
+function matrixCellText(cell){
+  if(cell.kind === "changed") return (cell.similarity ?? 0).toFixed(2);
+  if(cell.kind === "missing") return "—";
+  if(cell.kind === "renumbered") return "№";
+  if(cell.kind === "absent") return "∅";
+  if(cell.kind === "na") return "?";
+  return "";
+}
 
+function renderMatrix(results, criticalSet, filter){
+  const wrap = document.createElement("div");
+  wrap.className = "matrix-view";
+  if(!lastRunState?.etalon?.clauses){
+    wrap.innerHTML = `<div class="result-status">Для матрицы нужны тексты эталона: в этой проверке они не сохранялись.</div>`;
+    return wrap;
+  }
+  const rows = clauseMatrix(results, { clauseMaps, etalonFor: r => etalonFor(r)?.clauses });
+  if(matrixSort === "deviating") rows.sort((a, b) => b.deviating - a.deviating);
+  const detail = document.createElement("div");
+  detail.className = "matrix-detail";
+
+  const legend = document.createElement("div");
+  legend.className = "small matrix-legend";
+  for(const kind of MATRIX_KINDS){
+    const it = document.createElement("span");
+    it.className = "cell kind-" + kind;
+    it.textContent = `${matrixCellText({ kind, similarity: 0.9 }) || " "} ${MATRIX_KIND_TEXT[kind]}`;
+    legend.appendChild(it);
+  }
+  wrap.appendChild(legend);
+
+  const scroller = document.createElement("div");
+  scroller.className = "matrix-scroll";
+  const table = document.createElement("table");
+  table.className = "matrix";
+  const head = table.createTHead().insertRow();
+  const sortHeader = (label, mode) => {
+    const th = document.createElement("th");
+    th.textContent = label + (matrixSort === mode ? " ▾" : "");
+    th.className = "sortable";
+    th.title = "Сортировать";
+    th.onclick = () => { matrixSort = mode; wrap.replaceWith(renderMatrix(results, criticalSet, filter)); };
+    head.appendChild(th);
+  };
+  sortHeader("Пункт", "order");
+  sortHeader("Отклонений", "deviating");
   results.forEach((r, idx) => {
-    const wrap = document.createElement("section");
-    wrap.className = "counterparty";
+    const th = document.createElement("th");
+    th.className = "cp";
+    th.textContent = String(idx + 1);
+    th.title = `${counterpartyTitle(r)} — ${statusText(r.status)}`;
+    head.appendChild(th);
+  });
 
-    const header = document.createElement("div");
-    header.className = "counterparty-header";
+  const body = table.createTBody();
+  for(const row of rows){
+    const tr = body.insertRow();
+    const th = document.createElement("th");
+    th.textContent = formatRef(row.ref) + (isCriticalRef(row.ref, criticalSet) ? " ★" : "");
+    th.title = "Показать все варианты пункта";
+    th.onclick = () => showClauseVariants(detail, row, results);
+    tr.appendChild(th);
+    const count = tr.insertCell();
+    count.className = "count";
+    count.textContent = `${row.deviating}/${results.length}`;
+    row.cells.forEach((cell, i) => {
+      const td = tr.insertCell();
+      td.className = "cell kind-" + cell.kind;
+      if(hasDiffFilter(filter) && cell.diff && !diffMatches(cell.diff, results[i], filter, criticalSet)) td.classList.add("dim");
+      td.textContent = matrixCellText(cell);
+      td.title = `${results[i].name}: ${formatRef(row.ref)} — ${MATRIX_KIND_TEXT[cell.kind]}` +
+        (cell.diff?.similarity !== undefined ? ` (similarity ${cell.diff.similarity.toFixed(3)})` : "");
+      if(cell.diff) td.onclick = () => showMatrixDiff(detail, results[i], cell.diff);
+    });
+  }
+  scroller.appendChild(table);
+  wrap.appendChild(scroller);
+  wrap.appendChild(detail);
+  return wrap;
+}
 
-    const titleWrap = document.createElement("div");
-    titleWrap.className = "counterparty-title";
-    const h3 = document.createElement("h3");
-    h3.textContent = `${idx+1}. ${r.name}`;
-    const badge = document.createElement("span");
-    badge.className = "badge " + badgeClass(r.status);
-    badge.textContent = statusText(r.status);
-    titleWrap.appendChild(h3);
-    titleWrap.appendChild(badge);
+function splitColumns(cols){
+  const split = document.createElement("div");
+  split.className = "split" + (cols.length > 2 ? " variants" : "");
+  for(const { title, html, text } of cols){
+    const col = document.createElement("div");
+    col.className = "col";
+    const h = document.createElement("h4");
+    h.textContent = title;
+    const t = document.createElement("div");
+    t.className = "text";
+    if(html !== undefined) t.innerHTML = html;
+    else t.textContent = text;
+    col.appendChild(h);
+    col.appendChild(t);
+    split.appendChild(col);
+  }
+  return split;
+}
 
-    header.appendChild(titleWrap);
+// Split diff of one cell under the matrix
+function showMatrixDiff(detail, r, d){
+  const maps = clauseMaps(r);
+  const { leftText, rightText } = diffTexts(d, maps?.etalon, maps?.client);
+  const h = document.createElement("h3");
+  h.textContent = `${counterpartyTitle(r)}: ${clauseRefLabel(d)} — ${d.diff_type}`;
+  let cols;
+  if(d.diff_type === "MISSING") cols = [{ title: "Эталон", text: leftText }, { title: "Документ", text: rightText }];
+  else {
+    const { leftHtml, rightHtml } = splitDiffHtml(leftText, rightText, lastRunState?.normalization);
+    cols = [{ title: "Эталон", html: leftHtml }, { title: "Документ", html: rightHtml }];
+  }
+  detail.replaceChildren(h, splitColumns(cols));
+  detail.scrollIntoView({ block: "nearest" });
+}
 
-    const actions = document.createElement("div");
-    actions.className = "actions";
-    const btnDocx = document.createElement("button");
-    btnDocx.textContent = "Скачать DOCX";
-    btnDocx.disabled = (r.status === "NEEDS_REVIEW"); // still allow? but no
-    btnDocx.onclick = async () => {
+// Every distinct wording of one etalon clause across the batch, most frequent first. With several
+// editions each wording is diffed against the edition its document was compared with.
+function showClauseVariants(detail, row, results){
+  const etalonTextOf = (r) => etalonFor(r)?.clauses.get(row.ref);
+  const etalonTexts = [...new Set(results.map(etalonTextOf).filter(t => t !== undefined))];
+  const variants = new Map();
+  row.cells.forEach((cell, i) => {
+    const r = results[i];
+    const etalonText = etalonTextOf(r) ?? "";
+    let text = null, label;
+    if(cell.kind === "missing") label = "— отсутствует —";
+    else if(cell.kind === "absent") label = "— намеренно отсутствует —";
+    else if(cell.kind === "na") label = "— не сравнивался —";
+    else {
+      const maps = clauseMaps(r);
+      text = cell.diff ? diffTexts(cell.diff, maps?.etalon, maps?.client).rightText : maps?.client.get(row.ref) ?? "";
+      label = normalizeWS(text);
+    }
+    const key = text === null ? label : `${etalonTexts.indexOf(etalonText)}|${label}`;
+    if(!variants.has(key)) variants.set(key, { label, text, etalonText, names: [] });
+    variants.get(key).names.push(counterpartyTitle(r));
+  });
+  const h = document.createElement("h3");
+  h.textContent = `${formatRef(row.ref)}: вариантов ${variants.size}, отклоняются ${row.deviating} из ${results.length}`;
+  const cols = etalonTexts.map((text, i) => ({ title: etalonTexts.length > 1 ? `Эталон, редакция ${i + 1}` : "Эталон", text }));
+  for(const v of [...variants.values()].sort((a, b) => b.names.length - a.names.length)){
+    const edition = etalonTexts.length > 1 && v.text !== null ? ` (к редакции ${etalonTexts.indexOf(v.etalonText) + 1})` : "";
+    const title = `${v.names.length} — ${v.names.join(", ")}${edition}`;
+    if(v.text === null) cols.push({ title, text: v.label });
+    else cols.push({ title, html: splitDiffHtml(v.etalonText, v.text, lastRunState.normalization).rightHtml });
+  }
+  detail.replaceChildren(h, splitColumns(cols));
+  detail.scrollIntoView({ block: "nearest" });
+}
+
+// One counterparty card. openKeys: diffKey()s of diffs to show expanded (kept when the
+// card is re-rendered after a review decision).
+function renderCounterparty(r, idx, criticalSet, filter, openKeys){
+  const wrap = document.createElement("section");
+  wrap.className = "counterparty";
+
+  const header = document.createElement("div");
+  header.className = "counterparty-header";
+
+  const titleWrap = document.createElement("div");
+  titleWrap.className = "counterparty-title";
+  const h3 = document.createElement("h3");
+  h3.textContent = `${idx+1}. ${counterpartyTitle(r)}`;
+  const badge = document.createElement("span");
+  badge.className = "badge " + badgeClass(r.status);
+  badge.textContent = statusText(r.status);
+  titleWrap.appendChild(h3);
+  titleWrap.appendChild(badge);
+  if(r.override){
+    const manual = document.createElement("span");
+    manual.className = "pill review-manual";
+    manual.textContent = "статус вручную";
+    titleWrap.appendChild(manual);
+  }
+
+  header.appendChild(titleWrap);
+
+  // Re-renders this card in place, keeping expanded diffs open
+  const rerender = () => {
+    const open = new Set(Array.from(wrap.querySelectorAll("details.diff-item[open]")).map(el => el.dataset.key));
+    wrap.replaceWith(renderCounterparty(r, idx, criticalSet, filter, open));
+  };
+  const review = async (change) => {
+    try{
+      await change();
+      refreshReviewedStatus(r);
+      renderSummary(lastRunState.results);
+      await persistResult(r);
+    }catch(err){
+      console.error(err);
+      setStatus("Не удалось сохранить решение: " + (err?.message || err));
+    }
+    rerender();
+  };
+  const editMeta = async (meta) => {
+    try{
+      await saveMeta(r, meta);
+      if(meta){
+        r.auto_meta ??= r.meta || {};
+        r.meta = meta;
+      } else {
+        r.meta = r.auto_meta;
+        delete r.auto_meta;
+      }
+      // corrected requisites may name another counterparty: its history and decisions apply
+      r.identity = counterpartyIdentity(r);
+      await attachReviews([r]);
+      await attachRecheck([r], lastRunState.runId);
+      await persistResult(r);
+    }catch(err){
+      console.error(err);
+      setStatus("Не удалось сохранить реквизиты: " + (err?.message || err));
+    }
+    rerender();
+  };
+  const remap = async (mapping) => {
+    try{
+      await saveMapping(r, mapping);
+      if(!canRecompare(r)){
+        setStatus("Сопоставление сохранено, оно будет применено при следующем сравнении");
+      } else {
+        if(mappingIsEmpty(mapping)) delete r.mapping;
+        else r.mapping = mapping;
+        setStatus(`Сравниваю заново: ${counterpartyTitle(r)}…`);
+        await recompareCounterparty(r);
+        renderSummary(lastRunState.results);
+        await persistResult(r);
+        setStatus("");
+      }
+    }catch(err){
+      console.error(err);
+      setStatus("Не удалось применить сопоставление: " + (err?.message || err));
+    }
+    rerender();
+  };
+
+  const actions = document.createElement("div");
+  actions.className = "actions";
+  const canExport = () => !!lastRunState?.clients?.has(r.name);
+  const exportButton = (label, run) => {
+    const btn = document.createElement("button");
+    btn.textContent = label;
+    btn.disabled = !canExport();
+    btn.onclick = async () => {
       const client = lastRunState?.clients?.get(r.name);
       if(!client){
         alert("Не найдено состояние сравнения для этого контрагента. Запустите сравнение заново.");
         return;
       }
-      btnDocx.disabled = true;
-      btnDocx.textContent = "Генерация…";
+      btn.disabled = true;
+      btn.textContent = "Генерация…";
       try{
-        await exportCounterpartyDocx(r, etalonParsed.clauses, client.parsed.clauses, criticalSet);
+        await run(client);
       }finally{
-        btnDocx.disabled = (r.status === "NEEDS_REVIEW");
-        btnDocx.textContent = "Скачать DOCX";
+        btn.disabled = !canExport();
+        btn.textContent = label;
       }
     };
-    actions.appendChild(btnDocx);
-    header.appendChild(actions);
-
-    wrap.appendChild(header);
-
-    const meta = document.createElement("div");
-    meta.className = "small";
-    meta.textContent = `Файл: ${r.source_file} • Расхождений: ${r.diffs.length}`;
-    wrap.appendChild(meta);
-
-    if(r.diffs.length){
-      const diffsWrap = document.createElement("div");
-      diffsWrap.className = "diffs";
-
-      r.diffs.forEach((d) => {
-        const det = document.createElement("details");
-        det.className = "diff-item";
-
-        const sum = document.createElement("summary");
-        const left = document.createElement("div");
-        left.className = "meta-row";
-        const ref = document.createElement("span");
-        ref.textContent = `п. ${d.clause_ref}`;
-        const pill = document.createElement("span");
-        pill.className = "pill " + pillClass(d.diff_type);
-        pill.textContent = d.diff_type;
-        left.appendChild(ref);
-        left.appendChild(pill);
-
-        if(criticalSet.has(d.clause_ref)){
-          const crit = document.createElement("span");
-          crit.className = "pill";
-          crit.textContent = "CRITICAL";
-          left.appendChild(crit);
-        }
+    return btn;
+  };
+  actions.appendChild(exportButton("Скачать DOCX", (client) => exportCounterpartyDocx(r, client, criticalSet)));
+  actions.appendChild(exportButton("DOCX с правками", (client) => exportTrackedChangesDocx(r, client, criticalSet)));
+  const overrideBtn = document.createElement("button");
+  overrideBtn.textContent = "Статус вручную";
+  actions.appendChild(overrideBtn);
+  const mappingBtn = document.createElement("button");
+  mappingBtn.textContent = "Сопоставление пунктов";
+  actions.appendChild(mappingBtn);
+  const metaBtn = document.createElement("button");
+  metaBtn.textContent = "Реквизиты";
+  actions.appendChild(metaBtn);
+  header.appendChild(actions);
+
+  wrap.appendChild(header);
+  const metaBox = document.createElement("div");
+  metaBox.className = "small counterparty-meta";
+  metaBox.textContent = metaLines(r.meta).join("\n") || "Реквизиты в документе не найдены";
+  if(r.auto_meta) metaBox.title = "Исправлено вручную";
+  wrap.appendChild(metaBox);
+  const metaForm = renderMetaForm(r, editMeta);
+  metaForm.hidden = true;
+  metaBtn.onclick = () => { metaForm.hidden = !metaForm.hidden; };
+  wrap.appendChild(metaForm);
+  const overrideForm = renderOverrideForm(r, (override) => review(async () => { r.override = override; }));
+  overrideForm.hidden = true;
+  overrideBtn.onclick = () => { overrideForm.hidden = !overrideForm.hidden; };
+  wrap.appendChild(overrideForm);
+  let mappingEditor = null;
+  mappingBtn.onclick = () => {
+    if(!mappingEditor){
+      mappingEditor = renderMappingEditor(r, remap);
+      overrideForm.after(mappingEditor);
+    } else {
+      mappingEditor.hidden = !mappingEditor.hidden;
+    }
+  };
+  if(r.absent?.length){
+    const note = document.createElement("div");
+    note.className = "small";
+    note.textContent = "Намеренно отсутствуют (сопоставление пунктов): " + r.absent.map(formatRef).join(", ");
+    wrap.appendChild(note);
+  }
+  if(r.mapping_errors?.length){
+    const note = document.createElement("div");
+    note.className = "small review-reason";
+    note.textContent = "Сопоставление пунктов не применено частично (документ изменился?): " + r.mapping_errors.join("; ");
+    wrap.appendChild(note);
+  }
+  const fields = placeholderValues(r);
+  if(fields.length){
+    const note = document.createElement("div");
+    note.className = "small counterparty-meta";
+    note.textContent = "Поля шаблона:\n" + fields.map(([name, value]) => `${name}: ${value}`).join("\n");
+    wrap.appendChild(note);
+  }
+  if(r.override){
+    const note = document.createElement("div");
+    note.className = "small review-reason";
+    note.textContent = `Статус изменён вручную (автоматически: ${statusText(r.auto_status)}): ${r.override.reason}`;
+    wrap.appendChild(note);
+  }
 
-        sum.appendChild(left);
+  const shownDiffs = r.diffs.filter(d => diffMatches(d, r, filter, criticalSet));
+  const meta = document.createElement("div");
+  meta.className = "small";
+  const shownNote = shownDiffs.length !== r.diffs.length ? ` (показано ${shownDiffs.length})` : "";
+  meta.textContent = `Файл: ${r.source_file} • Расхождений: ${r.diffs.length}${shownNote}`;
+  wrap.appendChild(meta);
+  if(r.edition){
+    const ed = document.createElement("div");
+    ed.className = "small" + (r.edition.outdated ? " review-reason" : "");
+    ed.textContent = "Редакция эталона: " + editionText(r.edition);
+    ed.title = (lastRunState?.editions || []).map((x, i) => `${x.source_file}: ${Math.round((r.edition.scores[i] ?? 0) * 100)}%`).join("\n");
+    wrap.appendChild(ed);
+  }
 
-        const rightMeta = document.createElement("div");
-        rightMeta.className = "small";
-        if(d.diff_type === "CHANGED" && d.similarity !== undefined){
-          rightMeta.textContent = `similarity=${(d.similarity||0).toFixed(3)}`;
+  if(r.review_reason){
+    const reason = document.createElement("div");
+    reason.className = "small review-reason";
+    reason.textContent = r.review_reason;
+    wrap.appendChild(reason);
+  }
+  const failures = r.rule_failures || [];
+  if(failures.length){
+    const ul = document.createElement("ul");
+    ul.className = "rule-failures";
+    for(const f of failures){
+      const li = document.createElement("li");
+      li.className = f.severity;
+      li.textContent = ruleFailureLine(f);
+      ul.appendChild(li);
+    }
+    wrap.appendChild(ul);
+  }
+  const failureSeverity = new Map();
+  for(const f of failures){
+    if(failureSeverity.get(f.ref) !== "critical") failureSeverity.set(f.ref, f.severity);
+  }
+  const diagEl = renderDiagnostics(r.diagnostics, "Структура документа");
+  if(diagEl) wrap.appendChild(diagEl);
+  const recheckEl = renderRecheck(r);
+  if(recheckEl) wrap.appendChild(recheckEl);
+  const normalizedEl = renderNormalized(r);
+  if(normalizedEl) wrap.appendChild(normalizedEl);
+  const addedKeys = new Set((r.recheck?.added || []).map(diffKey));
+
+  if(shownDiffs.length){
+    const diffsWrap = document.createElement("div");
+    diffsWrap.className = "diffs";
+
+    shownDiffs.forEach((d) => {
+      const det = document.createElement("details");
+      det.className = "diff-item";
+      det.dataset.key = diffKey(d);
+
+      const sum = document.createElement("summary");
+      const left = document.createElement("div");
+      left.className = "meta-row";
+      const ref = document.createElement("span");
+      ref.textContent = clauseRefLabel(d);
+      const pill = document.createElement("span");
+      pill.className = "pill " + pillClass(d.diff_type);
+      pill.textContent = d.diff_type;
+      left.appendChild(ref);
+      left.appendChild(pill);
+
+      if(isCriticalDiff(d, criticalSet)){
+        const crit = document.createElement("span");
+        crit.className = "pill";
+        crit.textContent = "CRITICAL";
+        left.appendChild(crit);
+      }
+      if(d.mapped){
+        const mapped = document.createElement("span");
+        mapped.className = "pill mapped";
+        mapped.textContent = "сопоставлено вручную";
+        left.appendChild(mapped);
+      }
+      for(const c of d.semantic || []){
+        const sem = document.createElement("span");
+        sem.className = "pill sem" + (d.significant ? " significant" : "");
+        sem.textContent = semanticText(c);
+        left.appendChild(sem);
+      }
+      if(d.review?.decision || d.review?.comment){
+        const rv = document.createElement("span");
+        rv.className = "pill review-" + (d.review.decision || "comment");
+        rv.textContent = decisionText(d.review.decision) || "комментарий";
+        rv.title = reviewText(d.review);
+        left.appendChild(rv);
+      }
+      const ruleSeverity = d.diff_type !== "EXTRA" && failureSeverity.get(d.clause_ref);
+      if(ruleSeverity){
+        const rule = document.createElement("span");
+        rule.className = "pill rule-" + ruleSeverity;
+        rule.textContent = "ПРАВИЛО";
+        left.appendChild(rule);
+      }
+      if(r.recheck?.added){
+        const isNew = addedKeys.has(diffKey(d));
+        const rc = document.createElement("span");
+        rc.className = "pill " + (isNew ? "recheck-new" : "recheck-open");
+        rc.textContent = isNew ? "новое" : "не исправлено";
+        left.appendChild(rc);
+      }
+
+      sum.appendChild(left);
+
+      const rightMeta = document.createElement("div");
+      rightMeta.className = "small";
+      if(d.similarity !== undefined){
+        rightMeta.textContent = `similarity=${(d.similarity||0).toFixed(3)}`;
+      } else {
+        rightMeta.textContent = "";
+      }
+      sum.appendChild(rightMeta);
+
+      det.appendChild(sum);
+
+      const content = document.createElement("div");
+      content.className = "split";
+      content.dataset.rendered = "0";
+
+      const colL = document.createElement("div");
+      colL.className = "col";
+      const hL = document.createElement("h4");
+      hL.textContent = "Эталон";
+      const tL = document.createElement("div");
+      tL.className = "text";
+      tL.textContent = "…";
+      colL.appendChild(hL);
+      colL.appendChild(tL);
+
+      const colR = document.createElement("div");
+      colR.className = "col";
+      const hR = document.createElement("h4");
+      hR.textContent = "Документ";
+      const tR = document.createElement("div");
+      tR.className = "text";
+      tR.textContent = "…";
+      colR.appendChild(hR);
+      colR.appendChild(tR);
+
+      content.appendChild(colL);
+      content.appendChild(colR);
+      det.appendChild(content);
+
+      det.addEventListener("toggle", () => {
+        if(!det.open) return;
+        if(content.dataset.rendered === "1") return;
+
+        // Lazy render: compute split diff/full text
+        const maps = clauseMaps(r);
+        const { leftText, rightText } = diffTexts(d, maps?.etalon, maps?.client);
+        if(d.diff_type === "MISSING" || d.diff_type === "EXTRA"){
+          tL.textContent = leftText;
+          tR.textContent = rightText;
         } else {
-          rightMeta.textContent = "";
+          const { leftHtml, rightHtml } = splitDiffHtml(leftText, rightText, lastRunState?.normalization);
+          tL.innerHTML = leftHtml;
+          tR.innerHTML = rightHtml;
         }
-        sum.appendChild(rightMeta);
-
-        det.appendChild(sum);
-
-        const content = document.createElement("div");
-        content.className = "split";
-        content.dataset.rendered = "0";
-
-        const colL = document.createElement("div");
-        colL.className = "col";
-        const hL = document.createElement("h4");
-        hL.textContent = "Эталон";
-        const tL = document.createElement("div");
-        tL.className = "text";
-        tL.textContent = "…";
-        colL.appendChild(hL);
-        colL.appendChild(tL);
-
-        const colR = document.createElement("div");
-        colR.className = "col";
-        const hR = document.createElement("h4");
-        hR.textContent = "Документ";
-        const tR = document.createElement("div");
-        tR.className = "text";
-        tR.textContent = "…";
-        colR.appendChild(hR);
-        colR.appendChild(tR);
-
-        content.appendChild(colL);
-        content.appendChild(colR);
-        det.appendChild(content);
-
-        det.addEventListener("toggle", () => {
-          if(!det.open) return;
-          if(content.dataset.rendered === "1") return;
-
-          // Lazy render: compute split diff/full text
-          const client = lastRunState?.clients?.get(r.name);
-          const et = etalonParsed?.clauses;
-          const cl = client?.parsed?.clauses;
-
-          let leftText = "";
-          let rightText = "";
-          if(d.diff_type === "MISSING"){
-            leftText = et?.get(d.clause_ref) || "";
-            rightText = "— отсутствует —";
-            tL.textContent = leftText;
-            tR.textContent = rightText;
-          } else if(d.diff_type === "EXTRA"){
-            leftText = "— отсутствует —";
-            rightText = cl?.get(d.clause_ref) || "";
-            tL.textContent = leftText;
-            tR.textContent = rightText;
-          } else {
-            leftText = et?.get(d.clause_ref) || "";
-            rightText = cl?.get(d.clause_ref) || "";
-            const { leftHtml, rightHtml } = splitDiffHtml(leftText, rightText);
-            tL.innerHTML = leftHtml;
-            tR.innerHTML = rightHtml;
-          }
-
-          content.dataset.rendered = "1";
-        });
+        highlightMatches(tL, filter.q);
+        highlightMatches(tR, filter.q);
 
-        diffsWrap.appendChild(det);
+        content.dataset.rendered = "1";
       });
+      det.appendChild(renderReviewBar(r, d, (rv) => review(() => saveDecision(r, d, rv))));
+      if(openKeys?.has(det.dataset.key) || filter.q) det.open = true;
+
+      diffsWrap.appendChild(det);
+    });
+
+    wrap.appendChild(diffsWrap);
+  }
+
+  return wrap;
+}
 
-      wrap.appendChild(diffsWrap);
+function identityText(identity){
+  const [kind, value] = [identity.slice(0, identity.indexOf(":")), identity.slice(identity.indexOf(":") + 1)];
+  return kind === "inn" ? `ИНН ${value}` : kind === "org" ? `организация «${value}»` : `файл «${value}»`;
+}
+
+// "Since the last check" block: counts plus the list of fixed clauses
+function renderRecheck(r){
+  const rc = r.recheck;
+  if(!rc) return null;
+  if(rc.fixed === undefined){
+    const note = document.createElement("div");
+    note.className = "small";
+    const other = rc.otherBasis;
+    const what = other ? `с эталоном ${other.etalon_file || "без имени"}` + (other.profile ? `, профиль «${other.profile}»` : ", без профиля") : "с неизвестным эталоном";
+    note.textContent = rc.ambiguous
+      ? `Контрагента не удалось однозначно определить (${identityText(r.identity)}: ${rc.ambiguous === "run" ? "в этой проверке" : `в проверке от ${formatDate(rc.since)}`} несколько таких документов): сравнение с прошлой проверкой не проводится.`
+      : `Прошлая проверка (${formatDate(rc.since)}) была ${what}: сравнение с ней не проводится.`;
+    if(rc.ambiguous) note.className = "small review-reason";
+    return note;
+  }
+  const det = document.createElement("details");
+  det.className = "recheck";
+  const sum = document.createElement("summary");
+  const prevStatus = rc.prevStatus !== r.status ? ` • статус был: ${statusText(rc.prevStatus)}` : "";
+  const byFile = rc.byFile ? " • ИНН и организация не найдены, прошлая проверка найдена по имени файла" : "";
+  sum.textContent = `С прошлой проверки (${formatDate(rc.since)}): исправлено ${rc.fixed.length}, новых ${rc.added.length}, не исправлено ${rc.open.length}${prevStatus}${byFile}`;
+  det.appendChild(sum);
+  if(rc.fixed.length){
+    const ul = document.createElement("ul");
+    for(const d of rc.fixed){
+      const li = document.createElement("li");
+      li.textContent = `${clauseRefLabel(d)} — ${d.diff_type} (исправлено)`;
+      ul.appendChild(li);
     }
+    det.appendChild(ul);
+  }
+  return det;
+}
 
-    root.appendChild(wrap);
-  });
+// Clauses that match only after normalization; each opens the raw texts with the
+// normalized-away fragments muted.
+function renderNormalized(r){
+  const items = r.normalized || [];
+  if(!items.length) return null;
+  const det = document.createElement("details");
+  det.className = "normalized";
+  const sum = document.createElement("summary");
+  sum.textContent = `Различия, снятые нормализацией: ${items.length}`;
+  det.appendChild(sum);
+  for(const it of items){
+    const item = document.createElement("details");
+    const head = document.createElement("summary");
+    head.textContent = `${formatRef(it.ref)} — ${it.steps.map(normalizeStepTitle).join(", ")}`;
+    item.appendChild(head);
+    item.addEventListener("toggle", () => {
+      if(!item.open || item.dataset.rendered) return;
+      item.dataset.rendered = "1";
+      const maps = clauseMaps(r);
+      const left = maps?.etalon.get(it.ref);
+      const right = maps?.client.get(it.ref);
+      const split = document.createElement("div");
+      split.className = "split";
+      if(left === undefined || right === undefined){
+        split.textContent = "Тексты пунктов не сохранены.";
+      } else {
+        const { leftHtml, rightHtml } = splitDiffHtml(left, right, lastRunState.normalization);
+        for(const [title, html] of [["Эталон", leftHtml], ["Документ", rightHtml]]){
+          const col = document.createElement("div");
+          col.className = "col";
+          const h = document.createElement("h4");
+          h.textContent = title;
+          const t = document.createElement("div");
+          t.className = "text";
+          t.innerHTML = html;
+          col.appendChild(h);
+          col.appendChild(t);
+          split.appendChild(col);
+        }
+      }
+      item.appendChild(split);
+    });
+    det.appendChild(item);
+  }
+  return det;
 }
 
 // Simple blob downloader for docx export
@@ -657,3 +2643,32 @@ function downloadBlob(filename, blob){
   a.remove();
   URL.revokeObjectURL(url);
 }
+
+// ---- offline mode (service worker) ----
+// sw.js precaches the page and vendor/ so it also works with no network; it is asked on
+// every load whether the cached files are still the ones on the server.
+function initOfflineMode(){
+  if(!("serviceWorker" in navigator) || location.protocol === "file:") return;
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    const msg = e.data;
+    if(msg?.type === "stale"){
+      $("offlineNoticeText").textContent = `Файлы приложения в кэше устарели (${msg.files.length}): на сервере есть новая версия.`;
+      $("offlineNotice").hidden = false;
+    } else if(msg?.type === "updated"){
+      location.reload();
+    } else if(msg?.type === "update-failed"){
+      $("offlineUpdateBtn").disabled = false;
+      $("offlineNoticeText").textContent = "Не удалось обновить кэш: " + msg.message;
+    }
+  });
+  $("offlineUpdateBtn").addEventListener("click", () => {
+    $("offlineUpdateBtn").disabled = true;
+    $("offlineNoticeText").textContent = "Обновляю файлы приложения…";
+    navigator.serviceWorker.controller?.postMessage({ type: "update" });
+  });
+  navigator.serviceWorker.register(new URL("./sw.js", import.meta.url)).then(
+    () => { if(navigator.onLine) navigator.serviceWorker.controller?.postMessage({ type: "check" }); },
+    (err) => console.error("Service worker:", err)
+  );
+}
+initOfflineMode();
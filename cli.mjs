@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// cli.mjs (Node ESM)
+// Batch comparison of a folder of counterparty documents against the etalon, e.g. as a nightly job:
+//   node cli.mjs --etalon эталон.docx --dir ./входящие [--profile профиль.json] [--out ./отчёты] [--recursive] [--csv]
+// The etalon may also come from a profile saved with it, every stored edition included. With several editions
+// (repeated --etalon, older ones as --outdated) each document is compared with the closest edition. Uses the same core.js/report.js as the page;
+// its libraries are the npm dependencies pinned in package.json (the page loads the same ones from vendor/):
+//   npm install && npx 223fz-compare --etalon …
+// Writes results.json and a DOCX report per counterparty, named after the organisation found in it (plus counterparties.csv with --csv).
+// Scanned PDFs are not recognized here (OCR runs only on the page): they come out as NEEDS_REVIEW.
+// Values of the etalon's {{…}} template fields go to results.json ("placeholders") and the reports.
+// A clause mapping saved from the page as "<документ>.mapping.json" next to a document is applied to it.
+// Exit codes: 0 — done, 1 — some counterparty is NOT_APPLIED, 2 — usage or IO error.
+import { readFile, readdir, mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { inflateRawSync } from "node:zlib";
+import { applyClauseMapping, DOCUMENT_RE, editionsFromProfile, evaluateAgainstEditions, evaluateCounterparty, extractText, optionsFromSettings, parseDocumentText, placeholderSummary, validateProfile } from "./core.js";
+import { buildCounterpartyDocx, counterpartyRows, counterpartyTitle, formatRef, sanitizeFilename, statusText, toCsv } from "./report.js";
+
+const USAGE = `Использование: node cli.mjs --dir <папка> (--etalon <файл> | --profile <профиль.json>) [--out <папка>] [--recursive] [--csv]
+  --etalon     эталон (.docx/.pdf/.odt/.rtf/.txt/.html); можно повторить для нескольких действующих редакций; если не задан, берётся из профиля со всеми сохранёнными в нём редакциями
+  --outdated   устаревшая редакция эталона (можно повторить): документы, близкие к ней, не проходят проверку
+  --dir        папка с документами контрагентов (.docx/.pdf/.odt/.rtf/.txt/.html)
+  --profile    профиль сравнения (JSON, экспортированный со страницы)
+  --out        куда записать результаты (по умолчанию ./results)
+  --recursive  обходить вложенные папки
+  --csv        дополнительно записать сводку counterparties.csv`;
+
+class UsageError extends Error {}
+
+async function loadLibs(){
+  try{
+    const [mammoth, pdfjs, Diff, docx] = await Promise.all([
+      import("mammoth"),
+      import("pdfjs-dist/legacy/build/pdf.mjs"),
+      import("diff"),
+      import("docx"),
+    ]);
+    return { mammoth: mammoth.default || mammoth, pdfjs, Diff, docx, inflateRaw: inflateRawSync };
+  }catch(err){
+    throw new Error("Не найдены библиотеки (выполните npm install рядом с package.json): " + (err?.message || err));
+  }
+}
+
+async function listDocuments(dir, recursive){
+  const out = [];
+  for(const ent of await readdir(dir, { withFileTypes: true })){
+    const full = path.join(dir, ent.name);
+    if(ent.isDirectory()){
+      if(recursive) out.push(...await listDocuments(full, recursive));
+    } else if(DOCUMENT_RE.test(ent.name) && !ent.name.startsWith("~$")){
+      out.push(full);
+    }
+  }
+  return out.sort((a,b)=>a.localeCompare(b, "ru"));
+}
+
+async function parseFile(file, libs){
+  const data = await readFile(file);
+  const text = await extractText({ name: file, data }, libs);
+  return { text, ...parseDocumentText(text) };
+}
+
+// "<file>.mapping.json" next to the document, null when there is none
+async function readMapping(file){
+  let json;
+  try{ json = await readFile(file + ".mapping.json", "utf8"); }
+  catch(err){
+    if(err?.code === "ENOENT") return null;
+    throw err;
+  }
+  try{ return JSON.parse(json); }
+  catch(err){ throw new Error(`Сопоставление ${path.basename(file)}.mapping.json: ${err?.message || err}`); }
+}
+
+async function main(){
+  const { values: args } = parseArgs({
+    options: {
+      etalon: { type: "string", multiple: true },
+      outdated: { type: "string", multiple: true },
+      dir: { type: "string" },
+      profile: { type: "string" },
+      out: { type: "string", default: "results" },
+      recursive: { type: "boolean", default: false },
+      csv: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if(args.help){ console.log(USAGE); return 0; }
+  if(!args.dir) throw new UsageError("Не задана папка с документами (--dir)");
+
+  let profile = null;
+  if(args.profile){
+    try{ profile = validateProfile(JSON.parse(await readFile(args.profile, "utf8"))); }
+    catch(err){ throw new UsageError(`Профиль ${args.profile}: ${err?.message || err}`); }
+  }
+  if(!args.etalon?.length && !profile?.etalon) throw new UsageError("Не задан эталон (--etalon или профиль с эталоном)");
+
+  const { regexErrors, ruleErrors, normalizationErrors, ...opts } = optionsFromSettings(profile?.settings || {});
+  if(regexErrors.length){
+    const lines = regexErrors.map(e => `  строка ${e.lineNo}: «${e.source}» — ${e.message}`);
+    throw new UsageError("Ошибки в игнорируемых фрагментах (regex) профиля:\n" + lines.join("\n"));
+  }
+  if(normalizationErrors.length){
+    const lines = normalizationErrors.map(e => `  строка ${e.lineNo}: «${e.source}» — ${e.message}`);
+    throw new UsageError("Ошибки в словаре эквивалентов профиля:\n" + lines.join("\n"));
+  }
+  if(ruleErrors.length){
+    const lines = ruleErrors.map(e => `  п. ${e.ref}: «${e.source}» — ${e.message}`);
+    throw new UsageError("Ошибки в правилах по пунктам профиля:\n" + lines.join("\n"));
+  }
+
+  const libs = await loadLibs();
+  const editions = [];
+  for(const [files, outdated] of [[args.etalon || [], false], [args.outdated || [], true]]){
+    for(const file of files) editions.push({ source_file: path.basename(file), ...await parseFile(file, libs), outdated });
+  }
+  if(!args.etalon?.length) editions.unshift(...editionsFromProfile(profile));
+  for(const ed of editions){
+    if(!ed.clauses.size) throw new Error(`В эталоне ${ed.source_file} не найдено пунктов`);
+    for(const e of placeholderSummary(ed.clauses).errors) console.error(`${ed.source_file}, ${formatRef(e.ref)}: ${e.message} — поле принимает любой текст`);
+  }
+  const etalon = editions[0];
+
+  const files = await listDocuments(args.dir, args.recursive);
+  if(!files.length) throw new UsageError(`В папке ${args.dir} нет документов (.docx/.pdf/.odt/.rtf/.txt/.html)`);
+  await mkdir(args.out, { recursive: true });
+
+  const results = [];
+  const docNames = new Set();
+  for(const [i, file] of files.entries()){
+    const rel = path.relative(args.dir, file);
+    const name = rel.replace(DOCUMENT_RE, "");
+    let r;
+    try{
+      const parsed = await parseFile(file, libs);
+      const mapping = await readMapping(file);
+      const verdict = editions.length > 1
+        ? evaluateAgainstEditions(editions, { ...parsed, mapping }, opts)
+        : evaluateCounterparty(etalon.clauses, { ...parsed, mapping }, opts);
+      r = { name, ...verdict, diagnostics: parsed.diagnostics, meta: parsed.meta, source_file: rel, ...(mapping ? { mapping } : {}) };
+      for(const e of verdict.mapping_errors || []) console.error(`${rel}.mapping.json: ${e} — пропущено`);
+      if(parsed.clauses.size){
+        const used = editions[verdict.edition?.index ?? 0];
+        const maps = mapping ? applyClauseMapping(used.clauses, parsed.clauses, mapping) : null;
+        const docCtx = {
+          etalon: maps ? { ...used, clauses: maps.etalon } : used,
+          client: maps ? { ...parsed, clauses: maps.client } : parsed,
+          criticalSet: opts.criticalSet, normalization: opts.normalization,
+        };
+        const doc = buildCounterpartyDocx(r, docCtx, libs);
+        // named after the organisation; two documents of one organisation get "(2)"
+        let docName = sanitizeFilename(counterpartyTitle(r));
+        for(let n = 2; docNames.has(docName.toLowerCase()); n++) docName = `${sanitizeFilename(counterpartyTitle(r))} (${n})`;
+        docNames.add(docName.toLowerCase());
+        await writeFile(path.join(args.out, docName + ".docx"), await libs.docx.Packer.toBuffer(doc));
+      }
+    }catch(err){
+      const error = err?.message || String(err);
+      r = err?.name === "FormatError"
+        ? { name, status: "UNREADABLE", review_reason: error, diffs: [], source_file: rel, error }
+        : { name, status: "NEEDS_REVIEW", review_reason: "Ошибка обработки: " + error, diffs: [], source_file: rel, error };
+    }
+    results.push(r);
+    console.error(`[${i+1}/${files.length}] ${name}: ${statusText(r.status)}${r.review_reason ? " — " + r.review_reason : ""}`);
+  }
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    etalon: etalon.source_file,
+    editions: editions.length > 1 ? editions.map(ed => ({ source_file: ed.source_file, outdated: ed.outdated })) : undefined,
+    profile: profile?.name || null,
+    settings: {
+      similarityThreshold: opts.similarityThreshold,
+      criticalMinSim: opts.criticalMinSim,
+      criticalClauses: Array.from(opts.criticalSet),
+      ignoreRegexes: opts.ignoreRegexes.map(r => r.source),
+      clauseRules: profile?.settings?.clauseRules || [],
+      semanticSignificant: opts.semanticSignificant,
+      normalization: profile?.settings?.normalization || {},
+    },
+    results,
+  };
+  await writeFile(path.join(args.out, "results.json"), JSON.stringify(report, null, 2));
+  if(args.csv){
+    const rows = counterpartyRows(results, { criticalSet: opts.criticalSet, criticalMinSim: opts.criticalMinSim });
+    await writeFile(path.join(args.out, "counterparties.csv"), toCsv(rows));
+  }
+
+  const notApplied = results.filter(r => r.status === "NOT_APPLIED").length;
+  const unreadable = results.filter(r => r.status === "UNREADABLE").length;
+  console.error(`Готово: ${results.length} документов, изменения не внесены: ${notApplied}` + (unreadable ? `, не прочитаны: ${unreadable}` : "") + `. Результаты: ${args.out}`);
+  return notApplied ? 1 : 0;
+}
+
+main().then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    console.error(err?.message || String(err));
+    if(err instanceof UsageError || err?.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") console.error(USAGE);
+    process.exitCode = 2;
+  }
+);
@@ -0,0 +1,1818 @@
+// core.js (ESM)
+// DOM-free clause parsing and comparison. Shared by app.js, worker.js and cli.mjs.
+
+// Clause heading pattern: "2.4 ..." / "п. 2.4 ..." etc.
+const CL_START_RE = /^\s*(?:п\.?\s*|пп\.?\s*|пункт\s*|подпункт\s*)?(?<num>\d+(?:\.\d+){0,6})\s*(?:[)\.\-–:]\s+|\s+)(?<rest>.*)$/i;
+const WS_RE = /\s+/g;
+
+export function normalizeWS(s){ return (s||"").replace(WS_RE," ").trim(); }
+
+// One regex per line; invalid lines are reported, not dropped silently.
+// Returns { regexes, errors:[{ lineNo, source, message }] }
+export function compileIgnoreRegexes(lines){
+  const regexes=[], errors=[];
+  (Array.isArray(lines) ? lines : String(lines||"").split(/\r?\n/)).forEach((raw, i) => {
+    const source=String(raw).trim();
+    if(!source) return;
+    try{ regexes.push(new RegExp(source, "ig")); }
+    catch(err){ errors.push({ lineNo: i+1, source, message: err?.message || String(err) }); }
+  });
+  return { regexes, errors };
+}
+
+export function applyIgnore(text, ignoreRegexes){
+  let t = text || "";
+  for(const rgx of ignoreRegexes) t = t.replace(rgx,"");
+  return t;
+}
+
+// Similarity = 2*LCS/(|a|+|b|), the same ratio difflib/Ratcliff-Obershelp reports,
+// but with the LCS taken from a Myers O(ND) diff: near-identical clauses (the only
+// ones where the 0.985/0.97 thresholds matter) cost O(n) instead of O(n·m).
+const SIM_EXACT_FLOOR = 0.5; // below this the exact character score is not needed
+const MYERS_BUDGET = 4e7;    // ~ (n+m)·D steps allowed for a single diff
+
+// Shortest edit script length (insertions + deletions) between two sequences,
+// or -1 when it exceeds maxD. Works on strings and on arrays of token ids.
+function editDistance(a, b, maxD){
+  const n=a.length, m=b.length;
+  const max=Math.min(n+m, maxD);
+  const off=max+1;
+  const v=new Int32Array(2*max+3);
+  for(let d=0; d<=max; d++){
+    for(let k=-d; k<=d; k+=2){
+      let x = (k===-d || (k!==d && v[off+k-1] < v[off+k+1])) ? v[off+k+1] : v[off+k-1]+1;
+      let y = x-k;
+      while(x<n && y<m && a[x]===b[y]){ x++; y++; }
+      v[off+k]=x;
+      if(x>=n && y>=m) return d;
+    }
+  }
+  return -1;
+}
+
+function tokenIds(a, b){
+  const dict=new Map();
+  const ids = (s) => s.split(" ").filter(Boolean).map(w=>{
+    if(!dict.has(w)) dict.set(w, dict.size);
+    return dict.get(w);
+  });
+  return [ids(a), ids(b)];
+}
+
+// Multiset overlap of two token id arrays
+function bagDice(a, b){
+  const counts=new Map();
+  for(const t of a) counts.set(t, (counts.get(t)||0)+1);
+  let common=0;
+  for(const t of b){
+    const c=counts.get(t);
+    if(c){ common++; counts.set(t, c-1); }
+  }
+  return (2*common)/(a.length+b.length);
+}
+
+export function similarityRatio(a,b){
+  let A=a||"", B=b||"";
+  if(!A && !B) return 1.0;
+  if(A===B) return 1.0;
+  const total=A.length+B.length;
+
+  // common prefix/suffix never changes the score
+  let p=0;
+  while(p<A.length && p<B.length && A[p]===B[p]) p++;
+  let q=0;
+  while(q<A.length-p && q<B.length-p && A[A.length-1-q]===B[B.length-1-q]) q++;
+  A=A.slice(p, A.length-q);
+  B=B.slice(p, B.length-q);
+
+  // The diff is abandoned once it is known to be below the floor, or gets too costly
+  const floorD=Math.ceil(total*(1-SIM_EXACT_FLOOR));
+  const maxD=Math.min(floorD, Math.ceil(MYERS_BUDGET/(A.length+B.length+1)));
+  const d=editDistance(A, B, maxD);
+  if(d>=0) return (total-d)/total;
+
+  // Very different (or huge) texts: a word-level ratio is good enough to rank them
+  const [ta, tb]=tokenIds(A, B);
+  const tn=ta.length+tb.length;
+  const td=tn ? editDistance(ta, tb, Math.ceil(MYERS_BUDGET/(tn+1))) : 0;
+  const tokRatio = !tn ? 1 : td>=0 ? (tn-td)/tn : bagDice(ta, tb);
+  const approx=(2*(p+q) + tokRatio*(A.length+B.length))/total;
+  return maxD===floorD ? Math.min(SIM_EXACT_FLOOR, approx) : approx;
+}
+
+// ---- parsing ----
+// Documents are parsed into a tree: appendix → section → clause → sub-item → list item.
+// Every node gets a stable path used as its key everywhere else:
+//   "Преамбула", "Раздел 2", "6.10.17", "6.10.17(б)", "6.10.17(1)(а)", "6.10.17(б)[2]",
+//   "Прил.1", "Прил.1/3.2" (numbering inside an appendix is scoped by its prefix).
+// A node's text holds only its own lines, children are separate nodes.
+const PREAMBLE_REF = "Преамбула";
+// "Приложение", "Приложение № 2. Форма заявки", "Приложение А", "Приложение Б. Форма договора";
+// a letter counts only when it stands alone, so "Приложение к приказу …" is body text
+const APPENDIX_RE = /^приложение(?:\.?$|(?:\s*№\s*|\s+)(?:(?<num>\d+)|(?<letter>[а-яёa-z])(?=\s*(?:[.№]|$)))\.?(?:\s+(?<rest>.*))?$)/i;
+const SECTION_RE = /^(?<kind>раздел|глава|статья)\s+(?<num>\d+(?:\.\d+)*|[IVXLCDM]+)\b\.?\s*(?<rest>.*)$/i;
+const SUBITEM_NUM_RE = /^(?<num>\d{1,2})\)\s*(?<rest>.*)$/;
+const SUBITEM_LETTER_RE = /^(?<num>[а-яёa-z])\)\s*(?<rest>.*)$/i;
+const BULLET_RE = /^[–—\-•·▪*]\s+(?<rest>.*)$/;
+const HEADING_MAX_LEN = 200;
+// Lines that look like a clause number but are a date, an amount or a year
+const FALSE_NUM_RES = [
+  /^\d{1,2}\.\d{1,2}\.(?:\d{4}|\d{2})(?!\.?\d)/,                         // 15.03.2024
+  /^\d{1,3}(?:[ \u00a0]\d{3})+(?:[.,]\d+)?(?!\.\d)/,                    // 100 000
+  /^\d+(?:[.,]\d+)?\s*(?:руб|₽|коп|тыс|млн|млрд|%|процент)/i,            // 100 рублей, 5 %
+  /^(?:19|20)\d{2}\s*(?:г\.|год)/i,                                     // 2024 год
+];
+
+function capitalize(s){ return s ? s[0].toUpperCase()+s.slice(1).toLowerCase() : s; }
+
+// Ancestor paths of a node, nearest first: "6.10.17(б)[2]" → "6.10.17(б)", "6.10.17", "6.10", "6"
+export function refAncestors(ref){
+  // "4.2+4.3" (clauses joined by a clause mapping) sits under each of its parts
+  if(ref?.includes("+")) return [...new Set(ref.split("+").flatMap(r=>[r, ...refAncestors(r)]))];
+  const out=[];
+  let cur=ref||"";
+  for(;;){
+    const next=cur.replace(/(?:\([^()]*\)|\[\d+\]|#\d+|\.[^./()[\]#]+)$/, "");
+    if(next===cur || !next) break;
+    out.push(next);
+    cur=next;
+  }
+  if(cur.includes("/")) out.push(cur.slice(0, cur.indexOf("/")));
+  return out;
+}
+
+// A clause listed as critical makes all its sub-items critical too
+export function isCriticalRef(ref, criticalSet){
+  if(!criticalSet?.size) return false;
+  if(criticalSet.has(ref)) return true;
+  return refAncestors(ref).some(r=>criticalSet.has(r));
+}
+
+// Returns { clauses: Map<path, text>, nodes: Map<path, { kind, level, parent, title }>, issues }
+// in document order. kind: preamble | appendix | section | clause | subitem | item.
+// issues are the parser's own findings, see diagnoseStructure().
+export function parseClauseTree(text){
+  const lines=(text||"").split(/\r?\n/).map(l=>l.trim()).filter(Boolean);
+  const parts=new Map();
+  const nodes=new Map();
+  let prefix="";        // "Прил.N/" inside an appendix
+  let scope=null;       // current appendix/section path, parent for top-level clauses
+  let clause=null;      // current dotted clause path
+  let subStyle=null;    // "num" | "letter": style of the first sub-item in the clause
+  let lastTop=null;     // last first-level sub-item, parent for the other style
+  let current=null;     // node that receives continuation lines
+  const itemCounts=new Map();
+  const issues=[];
+
+  const open = (path, kind, parent, rest) => {
+    if(!nodes.has(path)){
+      const level = parent ? (nodes.get(parent)?.level ?? 0)+1 : 0;
+      nodes.set(path, { kind, level, parent: parent || null, title: kind==="appendix"||kind==="section" ? (rest||"") : "" });
+      parts.set(path, []);
+    }
+    if(rest) parts.get(path).push(rest);
+    current=path;
+  };
+
+  for(const ln of lines){
+    let m;
+    if(ln.length<=HEADING_MAX_LEN && (m=ln.match(APPENDIX_RE))){
+      const num=m.groups.num || m.groups.letter || String(Array.from(nodes.values()).filter(n=>n.kind==="appendix").length+1);
+      const path=`Прил.${num}`;
+      prefix=path+"/";
+      scope=path; clause=null;
+      open(path, "appendix", null, (m.groups.rest||"").trim());
+      continue;
+    }
+    if(ln.length<=HEADING_MAX_LEN && (m=ln.match(SECTION_RE))){
+      const path=`${prefix}${capitalize(m.groups.kind)} ${m.groups.num}`;
+      const parent=prefix ? prefix.slice(0,-1) : null;
+      scope=path; clause=null;
+      open(path, "section", parent, (m.groups.rest||"").trim());
+      continue;
+    }
+    if(clause && (m = ln.match(SUBITEM_LETTER_RE) || ln.match(SUBITEM_NUM_RE))){
+      const kind = /\d/.test(m.groups.num) ? "num" : "letter";
+      // the first sub-item style inside a clause is level 1, the other one nests under it
+      if(!subStyle) subStyle=kind;
+      const parent = kind===subStyle || !lastTop ? clause : lastTop;
+      const path=`${parent}(${m.groups.num.toLowerCase()})`;
+      if(parent===clause) lastTop=path;
+      open(path, "subitem", parent, (m.groups.rest||"").trim());
+      continue;
+    }
+    if((m=ln.match(CL_START_RE)) && m.groups?.num && FALSE_NUM_RES.some(re=>re.test(ln))){
+      issues.push({ type: "SUSPICIOUS_HEADING", ref: current, text: ln });
+      m=null;
+    }
+    if(m && m.groups?.num){
+      let path=prefix+m.groups.num;
+      const parent=refAncestors(path).find(r=>nodes.has(r)) || scope;
+      if(nodes.has(path)){
+        issues.push({ type: "DUPLICATE", ref: path, text: ln });
+        // the repeated number gets its own node ("2.3[2]"), like repeated bullets
+        let n=2;
+        while(nodes.has(`${path}[${n}]`)) n++;
+        path=`${path}[${n}]`;
+      }
+      clause=path; subStyle=null; lastTop=null;
+      open(path, "clause", parent, (m.groups.rest||"").trim());
+      continue;
+    }
+    if(current && (m=ln.match(BULLET_RE))){
+      const parent=nodes.get(current)?.kind==="item" ? nodes.get(current).parent : current;
+      const n=(itemCounts.get(parent)||0)+1;
+      itemCounts.set(parent, n);
+      open(`${parent}[${n}]`, "item", parent, (m.groups.rest||"").trim());
+      continue;
+    }
+    if(!current) open(PREAMBLE_REF, "preamble", null, "");
+    const kind=nodes.get(current).kind;
+    if(kind==="section" || kind==="appendix") issues.push({ type: "ORPHAN_TEXT", ref: current, text: ln });
+    parts.get(current).push(ln);
+  }
+
+  const clauses=new Map();
+  for(const [k, p] of parts.entries()) clauses.set(k, p.join("\n").trim());
+  return { clauses, nodes, issues };
+}
+
+export function extractClausesFromText(text){
+  return parseClauseTree(text).clauses;
+}
+
+// ---- structure diagnostics ----
+const ISSUE_TEXT = {
+  DUPLICATE: "повторяющийся номер пункта",
+  GAP: "пропуск в нумерации",
+  OUT_OF_ORDER: "нарушен порядок нумерации",
+  SUSPICIOUS_HEADING: "строка похожа на номер пункта (дата/сумма), не считается пунктом",
+  ORPHAN_TEXT: "текст вне пунктов",
+  OCR: "страница распознана OCR",
+  OCR_LOW: "низкое качество распознавания",
+  OCR_FAILED: "не удалось распознать страницу",
+};
+// A document is sent to manual review when one kind of anomaly is this frequent
+const SEVERE_LIMITS = {
+  DUPLICATE: { min: 3, share: 0.02 },
+  OUT_OF_ORDER: { min: 3, share: 0.02 },
+  GAP: { min: 5, share: 0.1 },
+};
+
+export function issueText(type){ return ISSUE_TEXT[type] || type; }
+
+// Numbering checks over a parsed tree plus the parser's own findings.
+// Returns { issues:[{ type, ref, text, severity }], counts:{type:n}, reviewReason }.
+export function diagnoseStructure(tree){
+  const issues=[];
+  const orphanSeen=new Set();
+  for(const it of tree.issues||[]){
+    // one orphan entry per section/appendix is enough
+    if(it.type==="ORPHAN_TEXT"){
+      if(orphanSeen.has(it.ref)) continue;
+      orphanSeen.add(it.ref);
+    }
+    issues.push({ ...it, severity: it.type==="ORPHAN_TEXT" ? "info" : "warning" });
+  }
+
+  // Siblings of one parent number are expected to go 1, 2, 3…
+  const lastSeen=new Map();
+  let clauseCount=0;
+  for(const [path, node] of tree.nodes||[]){
+    if(node.kind!=="clause") continue;
+    clauseCount++;
+    if(path.endsWith("]")) continue; // a repeated number, already reported as DUPLICATE
+    const slash=path.lastIndexOf("/");
+    const segs=path.slice(slash+1).split(".");
+    const n=parseInt(segs.pop(), 10);
+    const parentKey=path.slice(0, slash+1)+segs.join(".");
+    const prev=lastSeen.get(parentKey) ?? 0;
+    if(n>prev+1){
+      const missing = n-prev-1===1 ? `${prev+1}` : `${prev+1}–${n-1}`;
+      const label = segs.length ? `${segs.join(".")}.${missing}` : missing;
+      issues.push({ type: "GAP", ref: path, text: `нет пункта ${label}`, count: n-prev-1, severity: "warning" });
+    } else if(n<=prev){
+      issues.push({ type: "OUT_OF_ORDER", ref: path, text: `после ${parentKey ? parentKey+"." : ""}${prev}`, severity: "warning" });
+    }
+    lastSeen.set(parentKey, Math.max(prev, n));
+    // "3.1" without a "3." line still means chapter 3 exists
+    for(let i=segs.length; i>0; i--){
+      const key=path.slice(0, slash+1)+segs.slice(0, i-1).join(".");
+      lastSeen.set(key, Math.max(lastSeen.get(key) ?? 0, parseInt(segs[i-1], 10)));
+    }
+  }
+
+  const counts={};
+  for(const it of issues) counts[it.type]=(counts[it.type]||0)+(it.type==="GAP" ? it.count : 1);
+
+  const reasons=[];
+  for(const [type, lim] of Object.entries(SEVERE_LIMITS)){
+    const c=counts[type]||0;
+    if(c>=Math.max(lim.min, Math.ceil(clauseCount*lim.share))) reasons.push(`${issueText(type)}: ${c}`);
+  }
+  if(reasons.length) for(const it of issues) if(SEVERE_LIMITS[it.type]) it.severity="error";
+
+  return { issues, counts, reviewReason: reasons.length ? "Аномалии нумерации — " + reasons.join("; ") : null };
+}
+
+// Scanned pages recognized by OCR (see extractText()): every page is listed, and pages
+// below OCR_MIN_CONFIDENCE or failed ones send the document to manual review.
+// ocrPages: [{ page, confidence, empty } | { page, error }], with file when a document is several files
+export const OCR_MIN_CONFIDENCE = 70;
+
+function addOcrDiagnostics(diag, ocrPages){
+  if(!ocrPages?.length) return diag;
+  const bad=[];
+  for(const p of ocrPages){
+    const where=(p.file ? `${p.file}, ` : "")+`стр. ${p.page}`;
+    if(p.error){
+      diag.issues.push({ type: "OCR_FAILED", ref: null, text: `${where}: ${p.error}`, severity: "error" });
+      bad.push(where);
+    } else if(!p.empty && p.confidence < OCR_MIN_CONFIDENCE){
+      diag.issues.push({ type: "OCR_LOW", ref: null, text: `${where}: уверенность ${Math.round(p.confidence)}%`, severity: "error" });
+      bad.push(where);
+    } else {
+      diag.issues.push({ type: "OCR", ref: null, text: where + (p.empty ? ": пустая" : `: уверенность ${Math.round(p.confidence)}%`), severity: "info" });
+    }
+    const type=diag.issues[diag.issues.length-1].type;
+    diag.counts[type]=(diag.counts[type]||0)+1;
+  }
+  if(bad.length){
+    const reason=`Скан распознан с низким качеством: ${bad.join(", ")}`;
+    diag.reviewReason=diag.reviewReason ? `${diag.reviewReason}; ${reason}` : reason;
+  }
+  return diag;
+}
+
+// ---- PDF layout ----
+// pdf.js returns positioned text fragments; clause parsing needs the original
+// lines and paragraphs back, without running headers, footers and page numbers.
+const PAGE_NUM_RE = /^[-–—\s]*(?:стр(?:аница)?\.?\s*)?\d{1,4}(?:\s*(?:из|\/)\s*\d{1,4})?[-–—\s]*$/i;
+const EDGE_LINES = 2;             // lines at the top/bottom of a page checked for headers/footers
+const REPEATED_EDGE_SHARE = 0.4;  // share of pages a line must repeat on to count as a header/footer
+
+function itemHeight(it){
+  return it.height || Math.hypot(it.transform?.[2] || 0, it.transform?.[3] || 0) || 10;
+}
+
+// Rebuilds physical lines of one page from getTextContent() items (content order).
+// Returns [{ text, x, right, y, height }], top to bottom.
+export function pdfPageLines(items){
+  const lines=[];
+  let cur=null;
+  let breakNext=false;
+  for(const it of items||[]){
+    const str=it.str || "";
+    const x=it.transform?.[4] ?? 0;
+    const y=it.transform?.[5] ?? 0;
+    const h=itemHeight(it);
+    if(str.trim()){
+      const sameLine = cur && !breakNext && Math.abs(y-cur.y) <= Math.max(cur.height, h)*0.5;
+      if(!sameLine){
+        cur={ text: "", x, right: x, y, height: h };
+        lines.push(cur);
+      } else {
+        // glue fragments of one word, separate words by a space
+        const gap=x-cur.right;
+        if(gap > h*0.15 && !/\s$/.test(cur.text) && !/^\s/.test(str)) cur.text+=" ";
+      }
+      cur.text+=str;
+      cur.right=Math.max(cur.right, x+(it.width||0));
+      cur.height=Math.max(cur.height, h);
+      breakNext=false;
+    }
+    if(it.hasEOL) breakNext=true;
+  }
+  for(const ln of lines) ln.text=ln.text.replace(/\s+/g," ").trim();
+  return lines.filter(ln=>ln.text);
+}
+
+function edgeKey(text){
+  return text.toLowerCase().replace(/\d+/g,"#").replace(/\s+/g," ").trim();
+}
+
+// Drops page numbers and lines repeated at the same page edge on many pages
+function stripRunningLines(pages){
+  const minPages=Math.max(2, Math.ceil(pages.length*REPEATED_EDGE_SHARE));
+  const counts=new Map();
+  const edgeIdx=(lines) => {
+    const idx=new Set();
+    for(let i=0;i<Math.min(EDGE_LINES, lines.length);i++){ idx.add(i); idx.add(lines.length-1-i); }
+    return idx;
+  };
+  for(const lines of pages){
+    const seen=new Set();
+    for(const i of edgeIdx(lines)){
+      const key=(i<EDGE_LINES?"top:":"bottom:")+edgeKey(lines[i].text);
+      if(seen.has(key)) continue;
+      seen.add(key);
+      counts.set(key, (counts.get(key)||0)+1);
+    }
+  }
+  return pages.map(lines => {
+    const drop=new Set();
+    for(const i of edgeIdx(lines)){
+      const key=(i<EDGE_LINES?"top:":"bottom:")+edgeKey(lines[i].text);
+      if(PAGE_NUM_RE.test(lines[i].text) || (pages.length>1 && counts.get(key)>=minPages)) drop.add(i);
+    }
+    return lines.filter((_,i)=>!drop.has(i));
+  });
+}
+
+function median(nums){
+  if(!nums.length) return 0;
+  const s=[...nums].sort((a,b)=>a-b);
+  return s[s.length>>1];
+}
+
+// Joins wrapped lines into paragraphs. A new paragraph starts after a short
+// line, an unusually large vertical gap, at an indented line, at a dotted
+// clause number or at a sub-item / bullet marker ("а)", "1)", "–"). `paras`
+// carries over from the previous page so that a paragraph broken by a page
+// break is glued back together.
+const DOTTED_NUM_RE = /^\d+(?:\.\d+)+\.?\s/;
+
+function startsListItem(text){
+  return DOTTED_NUM_RE.test(text) || SUBITEM_LETTER_RE.test(text) || SUBITEM_NUM_RE.test(text) || BULLET_RE.test(text);
+}
+
+function appendPageParagraphs(paras, lines, carry, blockWidth){
+  if(!lines.length) return carry;
+  const left=Math.min(...lines.map(l=>l.x));
+  const right=left+blockWidth;
+  const spacing=median(lines.slice(1).map((l,i)=>lines[i].y-l.y).filter(d=>d>0));
+  let prevFull=carry;
+  lines.forEach((ln, i) => {
+    const em=ln.height || 10;
+    const gapBreak = i>0 && spacing && lines[i-1].y-ln.y > spacing*1.4;
+    const startsNew = !paras.length || !prevFull || gapBreak
+      || ln.x > left + em*0.8
+      || startsListItem(ln.text);
+    if(startsNew) paras.push(ln.text);
+    else paras[paras.length-1]=joinWrapped(paras[paras.length-1], ln.text);
+    prevFull = ln.right >= right - em*3;
+  });
+  return prevFull;
+}
+
+// "закуп-" + "ки" -> "закупки", but "какой-" + "либо" keeps its hyphen;
+// a soft hyphen at the end of a line is always a split
+const HYPHEN_PARTICLE_RE = /^(?:либо|нибудь|то|таки)(?![а-яё])/i;
+
+function joinWrapped(a, b){
+  const m=a.match(/([а-яёa-z])[-\u00ad]$/i);
+  if(m && a.endsWith("-") && (HYPHEN_PARTICLE_RE.test(b) || /(?:^|[^а-яё])кое-$/i.test(a))) return a+b;
+  if(m && /^[а-яёa-z]/.test(b)) return a.slice(0,-1)+b;
+  if(a.endsWith("\u00ad")) return a.slice(0,-1)+b;
+  return a+" "+b;
+}
+
+// pages: arrays of lines from pdfPageLines(), one per page
+export function pdfLinesToText(pages){
+  const cleaned=stripRunningLines(pages);
+  // text block width of the whole document: a page of short lines has no full line to measure
+  const blockWidth=Math.max(0, ...cleaned.filter(l=>l.length).map(lines =>
+    Math.max(...lines.map(l=>l.right)) - Math.min(...lines.map(l=>l.x))));
+  const paras=[];
+  let carry=false;
+  for(const lines of cleaned) carry=appendPageParagraphs(paras, lines, carry, blockWidth);
+  return paras.join("\n").trim();
+}
+
+// ---- document formats ----
+// The format is taken from the content: counterparties send ".doc" files that are RTF,
+// HTML pages saved as ".docx" and so on. The extension only tells text from HTML.
+export const DOCUMENT_RE = /\.(docx|pdf|odt|rtf|txt|html?)$/i;
+const FORMAT_LIST = "DOCX, PDF, ODT, RTF, TXT или HTML";
+
+// Unreadable input (as opposed to a failure while reading it): err.name === "FormatError"
+function formatError(message){
+  const err = new Error(message);
+  err.name = "FormatError";
+  return err;
+}
+
+// ZIP central directory: [{ name, method, size, csize, local, dir, encrypted }]; also unpacks archives dropped on the page
+export function zipEntries(bytes){
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for(let i=bytes.length-22; i>=Math.max(0, bytes.length-22-0xffff); i--){
+    if(dv.getUint32(i, true)===0x06054b50){ eocd=i; break; }
+  }
+  if(eocd<0) throw formatError("Повреждённый ZIP-архив");
+  const entries = [];
+  let p = dv.getUint32(eocd+16, true);
+  for(let k=dv.getUint16(eocd+10, true); k>0; k--){
+    if(p+46>bytes.length || dv.getUint32(p, true)!==0x02014b50) throw formatError("Повреждённый ZIP-архив");
+    const flags = dv.getUint16(p+8, true);
+    const nameLen = dv.getUint16(p+28, true);
+    // names are UTF-8 when flagged, otherwise in the DOS code page (cp866 for Russian Windows)
+    const name = new TextDecoder(flags & 0x800 ? "utf-8" : "ibm866").decode(bytes.subarray(p+46, p+46+nameLen));
+    entries.push({
+      name, method: dv.getUint16(p+10, true), csize: dv.getUint32(p+20, true), size: dv.getUint32(p+24, true),
+      local: dv.getUint32(p+42, true), dir: name.endsWith("/"), encrypted: !!(flags & 1),
+    });
+    p += 46 + nameLen + dv.getUint16(p+30, true) + dv.getUint16(p+32, true);
+  }
+  return entries;
+}
+
+// inflateRaw(bytes) → Uint8Array replaces DecompressionStream("deflate-raw"), which Node 18 lacks
+export async function zipEntryData(bytes, entry, inflateRaw){
+  if(entry.encrypted) throw formatError(`ZIP: файл ${entry.name} защищён паролем`);
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const start = entry.local + 30 + dv.getUint16(entry.local+26, true) + dv.getUint16(entry.local+28, true);
+  const raw = bytes.subarray(start, start+entry.csize);
+  if(entry.method===0) return raw;
+  if(entry.method!==8) throw formatError(`ZIP: метод сжатия ${entry.method} не поддерживается`);
+  if(inflateRaw) return new Uint8Array(await inflateRaw(raw));
+  const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// BOM, then UTF-8 if the bytes are valid UTF-8, else Windows-1251
+function decodeText(bytes, charset){
+  if(bytes[0]===0xef && bytes[1]===0xbb && bytes[2]===0xbf) return new TextDecoder("utf-8").decode(bytes.subarray(3));
+  if(bytes[0]===0xff && bytes[1]===0xfe) return new TextDecoder("utf-16le").decode(bytes.subarray(2));
+  if(bytes[0]===0xfe && bytes[1]===0xff) return new TextDecoder("utf-16be").decode(bytes.subarray(2));
+  if(charset && !/^utf-?8$/i.test(charset)){
+    try{ return new TextDecoder(charset).decode(bytes); }catch{ /* unknown label: guess below */ }
+  }
+  try{ return new TextDecoder("utf-8", { fatal: true }).decode(bytes); }
+  catch{ return new TextDecoder("windows-1251").decode(bytes); }
+}
+
+// "docx" | "pdf" | "odt" | "rtf" | "html" | "txt"; throws a FormatError for anything else
+export function sniffFormat(bytes, name){
+  if(!bytes.length) throw formatError("Файл пуст");
+  const head = String.fromCharCode(...bytes.subarray(0, 1024));
+  if(head.includes("%PDF-")) return "pdf";
+  if(head.startsWith("PK\x03\x04")){
+    const names = new Set(zipEntries(bytes).map(e => e.name));
+    if(names.has("word/document.xml")) return "docx";
+    if(names.has("content.xml") && names.has("mimetype")){
+      // the uncompressed "mimetype" entry comes first: "...mimetypeapplication/vnd.oasis.opendocument.text"
+      if(/mimetypeapplication\/vnd\.oasis\.opendocument\.text(?!-)/.test(head)) return "odt";
+      throw formatError(`Документ OpenDocument, но не текстовый (ожидается ${FORMAT_LIST})`);
+    }
+    throw formatError("ZIP-архив, а не документ: распакуйте его и загрузите файлы");
+  }
+  if(head.startsWith("{\\rtf")) return "rtf";
+  if(head.startsWith("\xd0\xcf\x11\xe0")) throw formatError("Формат Word 97–2003 (.doc) не поддерживается: сохраните документ как DOCX");
+  const utf16 = (bytes[0]===0xff && bytes[1]===0xfe) || (bytes[0]===0xfe && bytes[1]===0xff);
+  if(!utf16 && bytes.subarray(0, 4096).includes(0)) throw formatError(`Неизвестный формат файла (ожидается ${FORMAT_LIST})`);
+  const start = decodeText(bytes.subarray(0, 2048)).trimStart();
+  if(/^<(?:!doctype\s+html|html|head|body|meta)\b/i.test(start) || (/\.html?$/i.test(name||"") && start.startsWith("<"))) return "html";
+  return "txt";
+}
+
+const ENTITIES = { nbsp: " ", amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", laquo: "«", raquo: "»", ldquo: "“", rdquo: "”", bdquo: "„",
+  lsquo: "‘", rsquo: "’", mdash: "—", ndash: "–", hellip: "…", sect: "§", shy: "", bull: "•", middot: "·", copy: "©", deg: "°", times: "×" };
+
+function decodeEntities(s){
+  return s.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (m, dec, hex, named) => {
+    if(named) return ENTITIES[named.toLowerCase()] ?? m;
+    const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+    return code>0 && code<=0x10ffff ? String.fromCodePoint(code) : m;
+  });
+}
+
+// Markup whitespace is collapsed; block boundaries become line breaks, as in the DOCX text
+function markupLines(s){
+  return s.split("\n").map(normalizeWS).filter(Boolean).join("\n");
+}
+
+function htmlToText(html){
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|head|template|noscript|svg)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/\s+/g, " ")
+    .replace(/<br\b[^>]*>/gi, "\n")
+    .replace(/<\/?(?:p|div|li|dt|dd|tr|h[1-6]|table|thead|tbody|ul|ol|dl|section|article|header|footer|main|nav|aside|blockquote|pre|figure|figcaption|caption|hr|form|center)\b[^>]*>/gi, "\n")
+    .replace(/<\/t[dh]\s*>/gi, " ")
+    .replace(/<[^>]*>/g, "");
+  return markupLines(decodeEntities(body));
+}
+
+// content.xml of an ODT: paragraphs and headings, without annotations and deleted text
+function odtToText(xml){
+  const body = xml
+    .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, "")
+    .replace(/<text:tracked-changes\b[\s\S]*?<\/text:tracked-changes>/g, "")
+    .replace(/\s+/g, " ")
+    .replace(/<text:s\b[^>]*?(?:text:c="(\d+)")?[^>]*\/>/g, (m, n) => " ".repeat(Number(n) || 1))
+    .replace(/<text:(?:tab|line-break)\b[^>]*\/>/g, (m) => m.startsWith("<text:tab") ? " " : "\n")
+    .replace(/<\/text:(?:p|h)>/g, "\n")
+    .replace(/<[^>]*>/g, "");
+  return markupLines(decodeEntities(body));
+}
+
+// Destinations whose text is not part of the document
+const RTF_SKIP = new Set(["fonttbl", "colortbl", "stylesheet", "info", "pict", "object", "header", "headerl", "headerr", "headerf",
+  "footer", "footerl", "footerr", "footerf", "listtable", "listoverridetable", "rsidtbl", "generator", "xmlnstbl", "themedata",
+  "colorschememapping", "latentstyles", "datastore", "fldinst", "annotation", "atnid", "atnauthor", "footnote", "revtbl", "filetbl"]);
+const RTF_CHARS = { par: "\n", line: "\n", row: "\n", sect: "\n", page: "\n", tab: " ", cell: " ", emdash: "—", endash: "–",
+  lquote: "‘", rquote: "’", ldblquote: "“", rdblquote: "”", bullet: "•", "~": " ", "_": "-", "-": "" };
+
+function rtfToText(bytes){
+  const src = new TextDecoder("latin1").decode(bytes);
+  let cp = Number(src.match(/\\ansicpg(\d+)/)?.[1]) || 1252;
+  if(cp===1252 && /\\fcharset204\b/.test(src)) cp = 1251; // Cyrillic fonts in a Western-default file
+  const decoder = new TextDecoder("windows-" + cp);
+  let out = "";
+  let pending = [];
+  const flush = () => { if(pending.length){ out += decoder.decode(new Uint8Array(pending)); pending = []; } };
+  const emit = (s, state) => { if(!state.skip){ flush(); out += s; } };
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  let skipChars = 0; // fallback characters after \uN
+  for(let i=0; i<src.length;){
+    const ch = src[i];
+    if(ch==="{"){
+      stack.push(state);
+      state = { ...state };
+      if(src.startsWith("\\*", i+1)) state.skip = true;
+      i++;
+      continue;
+    }
+    if(ch==="}"){
+      state = stack.pop() || state;
+      i++;
+      continue;
+    }
+    if(ch==="\\"){
+      const hex = /^\\'([\da-f]{2})/i.exec(src.slice(i, i+4));
+      if(hex){
+        i += 4;
+        if(skipChars>0){ skipChars--; continue; }
+        if(!state.skip) pending.push(parseInt(hex[1], 16));
+        continue;
+      }
+      const m = /^\\([a-z]{1,32})(-?\d{1,10})? ?/i.exec(src.slice(i, i+48));
+      if(!m){
+        const sym = src[i+1];
+        i += 2;
+        if(sym==="\\" || sym==="{" || sym==="}") emit(sym, state);
+        else if(RTF_CHARS[sym]!==undefined) emit(RTF_CHARS[sym], state);
+        else if(sym==="\n" || sym==="\r") emit("\n", state);
+        continue;
+      }
+      i += m[0].length;
+      const [, word, arg] = m;
+      if(RTF_SKIP.has(word)) state.skip = true;
+      else if(word==="uc") state.uc = Number(arg) || 0;
+      else if(word==="u"){
+        let code = Number(arg);
+        if(code<0) code += 65536;
+        emit(String.fromCharCode(code), state);
+        skipChars = state.uc;
+      }
+      else if(RTF_CHARS[word]!==undefined) emit(RTF_CHARS[word], state);
+      continue;
+    }
+    i++;
+    if(ch==="\r" || ch==="\n") continue;
+    if(skipChars>0){ skipChars--; continue; }
+    if(state.skip) continue;
+    const code = ch.charCodeAt(0);
+    if(code>=0x80) pending.push(code);
+    else { flush(); out += ch; }
+  }
+  flush();
+  return markupLines(out);
+}
+
+// ---- text extraction ----
+// libs: { mammoth, pdfjs, ocr?, inflateRaw? } — the browser passes the vendor/ globals, the CLI the npm packages
+// and node:zlib's inflateRawSync for ODT (see zipEntryData()).
+// data is an ArrayBuffer or Uint8Array, its format is sniffed (sniffFormat()); onPage(i, n) reports PDF pages.
+// libs.ocr(page, i) recognizes a PDF page without a text layer (a scan) and resolves to
+// { lines: [{ text, x, right, y, height }] in PDF units as from pdfPageLines(), confidence: 0..100 };
+// onPage(i, n, ocr) is then called again with ocr = { page, confidence, empty } or { page, error }.
+const OCR_MIN_PAGE_CHARS = 20; // less text than this on a page means there is no text layer
+
+export async function extractText({ name, data }, libs, onPage){
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const format = sniffFormat(bytes, name);
+  if(format==="docx"){
+    // browser mammoth reads arrayBuffer, the Node build reads buffer
+    const res = await libs.mammoth.extractRawText({ arrayBuffer: data, buffer: data });
+    return (res.value || "").trim();
+  }
+  if(format==="pdf"){
+    const pdf = await libs.pdfjs.getDocument({ data: new Uint8Array(data) }).promise;
+    const pages = [];
+    for(let i=1;i<=pdf.numPages;i++){
+      onPage?.(i, pdf.numPages);
+      const page = await pdf.getPage(i);
+      const content = await page.getTextContent();
+      let lines = pdfPageLines(content.items);
+      if(libs.ocr && lines.reduce((n, ln) => n + ln.text.length, 0) < OCR_MIN_PAGE_CHARS){
+        let ocr;
+        try{
+          const res = await libs.ocr(page, i);
+          lines = res.lines;
+          ocr = { page: i, confidence: res.confidence, empty: !lines.length };
+        }catch(err){
+          ocr = { page: i, error: err?.message || String(err) };
+        }
+        onPage?.(i, pdf.numPages, ocr);
+      }
+      pages.push(lines);
+    }
+    return pdfLinesToText(pages);
+  }
+  if(format==="odt"){
+    const content = zipEntries(bytes).find(e => e.name==="content.xml");
+    return odtToText(new TextDecoder("utf-8").decode(await zipEntryData(bytes, content, libs.inflateRaw)));
+  }
+  if(format==="rtf") return rtfToText(bytes);
+  if(format==="html"){
+    const charset = new TextDecoder("latin1").decode(bytes.subarray(0, 2048)).match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i)?.[1];
+    return htmlToText(decodeText(bytes, charset));
+  }
+  return markupLines(decodeText(bytes).replace(/\r\n?/g, "\n"));
+}
+
+// Clause tree plus diagnostics for an extracted text (ocrPages: see addOcrDiagnostics())
+export function parseDocumentText(text, ocrPages){
+  const tree = parseClauseTree(text);
+  const diagnostics = addOcrDiagnostics(diagnoseStructure(tree), ocrPages);
+  return { clauses: tree.clauses, nodes: tree.nodes, diagnostics, meta: extractDocumentMeta(text) };
+}
+
+// ---- semantic changes ----
+// Numbers, amounts, dates, periods and legal references in a clause. A CHANGED clause
+// at 0.98 may be rewording or "10 рабочих дней" → "30 календарных дней"; the
+// categories whose values differ tell the two apart.
+export const SEMANTIC_CATEGORIES = ["LEGAL_REF", "DATE", "MONEY", "PERCENT", "PERIOD", "NUMBER"];
+
+const SEMANTIC_TEXT = {
+  LEGAL_REF: "ссылки на НПА и пункты",
+  DATE: "даты",
+  MONEY: "суммы",
+  PERCENT: "проценты",
+  PERIOD: "сроки",
+  NUMBER: "числа",
+};
+export function semanticText(category){ return SEMANTIC_TEXT[category] || category; }
+
+const NUM = String.raw`\d+(?:[ \u00a0]\d{3})*(?:[.,]\d+)?`;
+const MONTHS = "января|февраля|марта|апреля|мая|июня|июля|августа|сентября|октября|ноября|декабря";
+// Alternatives in priority order: at the same position the first one wins
+const SEMANTIC_RE = new RegExp([
+  String.raw`(?<LEGAL_REF>\d+-фз(?![\p{L}\d])|(?:постановлени|распоряжени|приказ)[а-яё]*\s(?:[^.;]|\.(?=\d)){0,80}?№\s*\d+[\p{L}\d/-]*|(?:стать[а-яё]*|ст\.|част[а-яё]*|ч\.|подпункт[а-яё]*|пп\.|пункт[а-яё]*|п\.)\s*\d+(?:\.\d+)*(?:\s*(?:,|и)\s*\d+(?:\.\d+)*)*|№\s*\d+[\p{L}\d/-]*)`,
+  String.raw`(?<DATE>\d{1,2}\.\d{1,2}\.\d{2,4}|\d{1,2}\s+(?:${MONTHS})(?:\s+\d{4})?(?:\s*г(?:ода|\.)?)?|\d{4}\s*г(?:ода|\.))`,
+  String.raw`(?<MONEY>${NUM}\s*(?:\([^)]{1,60}\)\s*)?(?:(?:тыс|млн|млрд)[а-яё]*\.?\s*)?(?:руб[а-яё]*\.?|₽|коп[а-яё]*\.?))`,
+  String.raw`(?<PERCENT>${NUM}\s*(?:\([^)]{1,60}\)\s*)?(?:%|процент[а-яё]*))`,
+  String.raw`(?<PERIOD>${NUM}\s*(?:\([^)]{1,40}\)\s*)?(?:(?:рабоч|календарн)[а-яё]*\s+)?(?:дн[а-яё]*|день|недел[а-яё]*|месяц[а-яё]*|лет|год[а-яё]*|час[а-яё]*|минут[а-яё]*))`,
+  String.raw`(?<NUMBER>${NUM})`,
+].map(alt => String.raw`(?<![\p{L}\d])` + alt).join("|"), "giu");
+
+// [{ category, value, key, start, end }] in text order; key is the value in comparable form (see semanticKey())
+export function semanticSpans(text){
+  const out=[];
+  for(const m of (text||"").matchAll(SEMANTIC_RE)){
+    const category=SEMANTIC_CATEGORIES.find(c=>m.groups[c]!==undefined);
+    const value=normalizeWS(m[0]).toLowerCase();
+    out.push({ category, value, key: semanticKey(category, value), start: m.index, end: m.index+m[0].length });
+  }
+  return out;
+}
+
+const NUM_RE = new RegExp(NUM, "u");
+const MONEY_SCALE = { тыс: 1e3, млн: 1e6, млрд: 1e9 };
+const PERIOD_UNITS = [["дн", "день"], ["день", "день"], ["недел", "неделя"], ["месяц", "месяц"], ["лет", "год"], ["год", "год"], ["час", "час"], ["минут", "минута"]];
+const LEGAL_KINDS = [[/^(?:подпункт|пп\.)/u, "пп"], [/^(?:пункт|п\.)/u, "п"], [/^(?:стать|ст\.)/u, "ст"], [/^(?:част|ч\.)/u, "ч"]];
+const DATE_NUM_RE = /^(\d{1,2})\.(\d{1,2})\.(\d{2,4})/u;
+const DATE_WORDS_RE = new RegExp(String.raw`^(\d{1,2})\s+(${MONTHS})(?:\s+(\d{4}))?`, "u");
+
+function numberValue(s){
+  const m=s.match(NUM_RE);
+  return m ? Number(m[0].replace(/[ \u00a0]/g, "").replace(",", ".")) : NaN;
+}
+
+// What follows the number, without a spelled-out "(пять)"
+function unitText(s){
+  const m=s.match(NUM_RE);
+  return (m ? s.slice(m.index+m[0].length) : s).replace(/\([^)]*\)/g, "").trim();
+}
+
+// Comparable form of a span's value: the parsed number with a unit class, a normalized date.
+// "5 %" = "5 процентов", "100 000 рублей" = "100 000 руб." = "100 тыс. руб.", "12 марта 2024 г." = "12.03.2024".
+function semanticKey(category, value){
+  if(category==="NUMBER") return String(numberValue(value));
+  if(category==="PERCENT") return numberValue(value)+" %";
+  if(category==="MONEY"){
+    const unit=unitText(value);
+    const scale=MONEY_SCALE[(unit.match(/^(тыс|млрд|млн)/u) || [])[1]] || 1;
+    return Math.round(numberValue(value)*scale*100)/100 + (/^(?:(?:тыс|млн|млрд)[а-яё]*\.?\s*)?коп/u.test(unit) ? " коп" : " руб");
+  }
+  if(category==="PERIOD"){
+    const unit=unitText(value);
+    const kind=/^рабоч/u.test(unit) ? "рабоч " : /^календарн/u.test(unit) ? "календ " : "";
+    const last=unit.split(" ").pop();
+    return `${numberValue(value)} ${kind}${PERIOD_UNITS.find(([stem])=>last.startsWith(stem))?.[1] || last}`;
+  }
+  if(category==="DATE"){
+    const date=(d, mo, y)=>[d.padStart(2, "0"), String(mo).padStart(2, "0"), ...(y ? [y.length===2 ? "20"+y : y] : [])].join(".");
+    let m=value.match(DATE_NUM_RE);
+    if(m) return date(m[1], m[2], m[3]);
+    if((m=value.match(DATE_WORDS_RE))) return date(m[1], MONTHS.split("|").indexOf(m[2])+1, m[3]);
+    return value.match(/\d{4}/u)[0];
+  }
+  if(category==="LEGAL_REF"){
+    const kind=!value.includes("№") && LEGAL_KINDS.find(([re])=>re.test(value));
+    if(kind) return `${kind[1]} ${(value.match(/\d+(?:\.\d+)*/gu) || []).join(",")}`;
+    return value.replace(/\s+/g, "");
+  }
+  return value;
+}
+
+// Categories whose values differ between the two texts (as multisets), in SEMANTIC_CATEGORIES order
+export function semanticChanges(a, b){
+  const count=(text)=>{
+    const m=new Map();
+    for(const sp of semanticSpans(text)){
+      const key=sp.category+"|"+sp.key;
+      m.set(key, (m.get(key)||0)+1);
+    }
+    return m;
+  };
+  const ca=count(a), cb=count(b);
+  const changed=new Set();
+  for(const [key, n] of ca) if(cb.get(key)!==n) changed.add(key.slice(0, key.indexOf("|")));
+  for(const [key, n] of cb) if(ca.get(key)!==n) changed.add(key.slice(0, key.indexOf("|")));
+  return SEMANTIC_CATEGORIES.filter(c=>changed.has(c));
+}
+
+// Sets p.semantic = category on added/removed jsdiff parts that touch a semantic span
+// (removed parts are positions in leftText, added parts in rightText).
+export function markSemanticParts(parts, leftText, rightText){
+  const left=semanticSpans(leftText), right=semanticSpans(rightText);
+  const hit=(spans, from, to)=>spans.find(sp=>sp.start<to && sp.end>from)?.category;
+  let lo=0, ro=0;
+  for(const p of parts){
+    const len=(p.value||"").length;
+    if(p.removed){ p.semantic=hit(left, lo, lo+len); lo+=len; }
+    else if(p.added){ p.semantic=hit(right, ro, ro+len); ro+=len; }
+    else { lo+=len; ro+=len; }
+  }
+  return parts;
+}
+
+// ---- counterparty metadata ----
+// Who the document belongs to and how it was approved, from the title page and requisites.
+// The file name is often "Положение_о_закупке (3)", so reports prefer meta.org.
+export const META_FIELDS = [
+  // [key, label]
+  ["org", "Организация"],
+  ["inn", "ИНН"],
+  ["ogrn", "ОГРН"],
+  ["kpp", "КПП"],
+  ["approvedAt", "Дата утверждения"],
+  ["approvedBy", "Кем утверждено"],
+  ["protocol", "№ протокола / приказа"],
+];
+
+const META_HEAD_CHARS = 3000; // title page: organisation and approval stamp
+const ORG_FORM = String.raw`(?:(?:публичн|непубличн|открыт|закрыт)[а-яё]*\s+)?акционерн[а-яё]*\s+обществ[а-яё]*|обществ[а-яё]*\s+с\s+ограниченной\s+ответственностью|(?:федеральн[а-яё]*\s+|государственн[а-яё]*\s+|муниципальн[а-яё]*\s+)+(?:унитарн[а-яё]*\s+предприяти[а-яё]*|(?:бюджетн|автономн|казенн)[а-яё]*\s+учреждени[а-яё]*)|автономн[а-яё]*\s+некоммерческ[а-яё]*\s+организаци[а-яё]*|(?:ПАО|НПАО|АО|ОАО|ЗАО|ООО|ФГУП|ГУП|МУП|ФГБУ|ФГАУ|ГБУ|ГАУ|МБУ|МАУ|АНО)`;
+const ORG_RE = new RegExp(String.raw`(?<![\p{L}])(?:${ORG_FORM})\s*(?:«[^»\n]{2,120}»|"[^"\n]{2,120}"|“[^”\n]{2,120}”)`, "iu");
+const APPROVAL_RE = /(?<![\p{L}])утвержд[её]н[оаы]?(?![\p{L}])/iu;
+const APPROVAL_MAX_LINES = 6;
+// the stamp ends at a blank line, the title ("ПОЛОЖЕНИЕ …") or the first clause
+const APPROVAL_END_RE = /^(?:$|положени|\d+\.)/iu;
+const APPROVED_BY_RE = /(?<![\p{L}])((?:решени|приказ|распоряжени|постановлени|протокол)[а-яё]*\s+[^(]*?)(?=\s*(?:\(|,|от\s+«?\d|№|$))/iu;
+const MONTH_NAMES = MONTHS.split("|");
+const META_DATE_RE = new RegExp(String.raw`(\d{1,2})\.(\d{1,2})\.(\d{4})|«?(\d{1,2})»?\s+(${MONTHS})\s+(\d{4})`, "iu");
+
+function metaDate(text){
+  const m = (text||"").match(META_DATE_RE);
+  if(!m) return null;
+  const [d, mo, y] = m[1] ? [m[1], m[2], m[3]] : [m[4], String(MONTH_NAMES.indexOf(m[5].toLowerCase())+1), m[6]];
+  return `${d.padStart(2, "0")}.${mo.padStart(2, "0")}.${y}`;
+}
+
+// { org, inn, ogrn, kpp, approvedAt, approvedBy, protocol } — only the fields found
+export function extractDocumentMeta(text){
+  const meta = {};
+  const lines = (text||"").split("\n").map(normalizeWS);
+  const all = lines.join(" ");
+  const head = all.slice(0, META_HEAD_CHARS);
+
+  const org = head.match(ORG_RE) || all.match(ORG_RE);
+  if(org) meta.org = normalizeWS(org[0].replace(/"([^"]*)"|“([^”]*)”/, "«$1$2»"));
+
+  const pair = all.match(/ИНН\s*\/\s*КПП[\s:№]*(\d{10})\s*\/\s*(\d{9})(?!\d)/u);
+  const inn = all.match(/(?<![\p{L}])ИНН[\s:№]*(\d{10}|\d{12})(?!\d)/u);
+  const ogrn = all.match(/(?<![\p{L}])ОГРН(?:ИП)?[\s:№]*(\d{13}|\d{15})(?!\d)/u);
+  const kpp = all.match(/(?<![\p{L}])КПП[\s:№]*(\d{9})(?!\d)/u);
+  if(pair || inn) meta.inn = pair ? pair[1] : inn[1];
+  if(ogrn) meta.ogrn = ogrn[1];
+  if(pair || kpp) meta.kpp = pair ? pair[2] : kpp[1];
+
+  // "УТВЕРЖДЕНО решением Совета директоров АО «…» (протокол № 5 от 12.03.2024)"
+  const first = lines.findIndex(ln => APPROVAL_RE.test(ln));
+  if(first >= 0 && lines.slice(0, first).join(" ").length < META_HEAD_CHARS){
+    const stampLines = [lines[first].slice(lines[first].search(APPROVAL_RE))];
+    for(const ln of lines.slice(first+1, first+APPROVAL_MAX_LINES)){
+      if(APPROVAL_END_RE.test(ln)) break;
+      stampLines.push(ln);
+    }
+    const stamp = stampLines.join(" ");
+    const by = stamp.match(APPROVED_BY_RE);
+    if(by) meta.approvedBy = normalizeWS(by[1]).replace(/[\s.,;:]+$/, "");
+    const date = metaDate(stamp);
+    if(date) meta.approvedAt = date;
+    const no = stamp.match(/№\s*([\p{L}\d][\p{L}\d/.-]*)/u);
+    if(no) meta.protocol = no[1].replace(/\.$/, "");
+  }
+  return meta;
+}
+
+// ---- normalization ----
+// Steps applied to both texts before comparison so typography and spelling variants
+// do not show up as CHANGED. Each can be switched off; all are on by default.
+const WORD_START = String.raw`(?<![\p{L}\d])`;
+const WORD_END = String.raw`(?![\p{L}\d])`;
+const ABBREVIATIONS = [
+  [new RegExp(WORD_START + String.raw`(?:рубл(?:ь|я|ей|ю|ями?|ях)|руб\.?)` + WORD_END, "giu"), "руб."],
+  [new RegExp(WORD_START + String.raw`(?:копе(?:йка|йки|ек|йку|йками?)|коп\.?)` + WORD_END, "giu"), "коп."],
+  [new RegExp(WORD_START + String.raw`(?:тысяч(?:а|и|у|ами?)?|тыс\.?)` + WORD_END, "giu"), "тыс."],
+  [new RegExp(WORD_START + String.raw`(?:миллион(?:а|ов|ами?)?|млн\.?)` + WORD_END, "giu"), "млн"],
+  [new RegExp(WORD_START + String.raw`(?:то\s+есть|т\.\s*е\.)`, "giu"), "т.е."],
+  [new RegExp(WORD_START + String.raw`и\s+(?:так\s+далее|т\.\s*д\.)`, "giu"), "и т.д."],
+  [new RegExp(WORD_START + String.raw`российск(?:ая|ой|ую|ою)\s+федераци(?:я|и|ю|ей)` + WORD_END, "giu"), "РФ"],
+  [new RegExp(WORD_START + String.raw`единой\s+информационной\s+систем(?:е|ы)` + WORD_END, "giu"), "ЕИС"],
+  [new RegExp(WORD_START + String.raw`(?:стать(?:я|и|ю|ей|е)|ст\.)\s*(?=\d)`, "giu"), "ст. "],
+];
+
+export const NORMALIZE_STEPS = [
+  { id: "spaces", title: "неразрывные и особые пробелы", apply: t => t.replace(/[\u00a0\u2000-\u200b\u202f\u205f\u3000\ufeff]/g, " ") },
+  { id: "softHyphen", title: "мягкие переносы", apply: t => t.replace(/\u00ad/g, "") },
+  { id: "quotes", title: "кавычки «» „“ \"\"", apply: t => t.replace(/[«»„“”‟″]/g, "\"").replace(/[‘’‚‛′]/g, "'") },
+  { id: "dashes", title: "дефисы и тире", apply: t => t.replace(/[\u2010-\u2015\u2212]/g, "-") },
+  { id: "yo", title: "ё → е", apply: t => t.replace(/ё/g, "е").replace(/Ё/g, "Е") },
+  { id: "abbreviations", title: "сокращения (руб., тыс., ст., РФ…)", apply: t => ABBREVIATIONS.reduce((acc, [re, to]) => acc.replace(re, to), t) },
+  { id: "numbering", title: "стиль нумерации (а. / (а) / а), пункт / п.)", apply: t => t
+    .replace(/^\(?([а-яё]|\d{1,2})[.)]\s+/gimu, "$1) ")
+    .replace(new RegExp(WORD_START + String.raw`(?:подпункт(?:а|ом|е|у|ы|ов|ами|ах)?|пп\.)\s*(?=\d)`, "giu"), "пп. ")
+    .replace(new RegExp(WORD_START + String.raw`(?:пункт(?:а|ом|е|у|ы|ов|ами|ах)?|п\.)\s*(?=\d)`, "giu"), "п. ") },
+];
+
+// settings.normalization: { steps: { [id]: false } to switch steps off, synonyms: ["руб. = рублей", …] }.
+// A synonym line lists equivalent variants separated by "="; all are replaced by the first.
+// Returns { steps: [id], synonyms: [{ canonical, re }], errors: [{ lineNo, source, message }] }.
+export function compileNormalization(cfg){
+  const steps=NORMALIZE_STEPS.filter(st=>cfg?.steps?.[st.id] !== false).map(st=>st.id);
+  const synonyms=[], errors=[];
+  (cfg?.synonyms || []).forEach((raw, i) => {
+    const source=String(raw).trim();
+    if(!source) return;
+    const variants=source.split("=").map(v=>normalizeWS(runSteps(v, steps))).filter(Boolean);
+    if(variants.length < 2){
+      errors.push({ lineNo: i+1, source, message: "нужно минимум два варианта через «=»" });
+      return;
+    }
+    const alts=variants.slice().sort((a,b)=>b.length-a.length)
+      .map(v=>v.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replaceAll(" ", "\\s+"));
+    synonyms.push({ canonical: variants[0], re: new RegExp(`${WORD_START}(?:${alts.join("|")})${WORD_END}`, "giu") });
+  });
+  return { steps, synonyms, errors };
+}
+
+function runSteps(text, steps){
+  let t=text||"";
+  for(const st of NORMALIZE_STEPS) if(steps.includes(st.id)) t=st.apply(t);
+  return t;
+}
+
+// norm: result of compileNormalization(); null/undefined leaves the text as is
+export function normalizeText(text, norm){
+  if(!norm) return text||"";
+  let t=runSteps(text, norm.steps);
+  for(const syn of norm.synonyms) t=t.replace(syn.re, syn.canonical);
+  return t;
+}
+
+// Step ids (plus "synonyms") without which the two texts would differ
+function suppressingSteps(a, b, norm, prep){
+  const out=[];
+  for(const id of norm.steps){
+    const without={ ...norm, steps: norm.steps.filter(x=>x!==id) };
+    if(prep(a, without)!==prep(b, without)) out.push(id);
+  }
+  if(norm.synonyms.length){
+    const without={ ...norm, synonyms: [] };
+    if(prep(a, without)!==prep(b, without)) out.push("synonyms");
+  }
+  return out;
+}
+
+export function normalizeStepTitle(id){
+  return id==="synonyms" ? "словарь эквивалентов" : (NORMALIZE_STEPS.find(st=>st.id===id)?.title || id);
+}
+
+// Clauses that differ only in what normalization removes, i.e. differences it suppressed.
+// Returns [{ ref, steps: [id] }] for etalon clauses kept under the same number, equal once normalized.
+export function normalizationSuppressed(etalonMap, clientMap, diffs, opts){
+  const norm=opts.normalization;
+  if(!norm) return [];
+  const ignore=opts.ignoreRegexes||[];
+  const withDiff=new Set(diffs.filter(d=>d.diff_type!=="EXTRA").map(d=>d.clause_ref));
+  const plain=(t)=>prepClauseText(t, ignore, null);
+  const out=[];
+  for(const [ref, text] of etalonMap){
+    if(withDiff.has(ref) || !clientMap.has(ref)) continue;
+    const other=clientMap.get(ref);
+    const prep=(t, n)=>prepClauseText(t, ignore, n);
+    if(prep(text, norm)!==prep(other, norm) || plain(text)===plain(other)) continue;
+    const steps=suppressingSteps(text, other, norm, prep);
+    out.push({ ref, steps });
+  }
+  return out;
+}
+
+// Marks adjacent removed/added jsdiff parts that normalize to the same text: p.normalized = true
+export function markNormalizedParts(parts, norm){
+  if(!norm) return parts;
+  const key=(v)=>normalizeWS(normalizeText(v, norm)).toLowerCase();
+  for(let i=0;i+1<parts.length;i++){
+    const a=parts[i], b=parts[i+1];
+    if(!((a.removed && b.added) || (a.added && b.removed)) || a.moved || b.moved) continue;
+    if(key(a.value)===key(b.value)){ a.normalized=true; b.normalized=true; i++; }
+  }
+  return parts;
+}
+
+// ---- compare ----
+// Clauses are paired by content, not only by number: when a counterparty inserts
+// or drops an item, the following clauses are renumbered but must still match.
+const ALIGN_MIN_SIM = 0.6;   // minimal similarity to pair clauses with different numbers
+const ALIGN_MIN_DICE = 0.4;  // token overlap needed to even try a pair
+
+function prepClauseText(text, ignoreRegexes, norm){
+  return normalizeWS(normalizeText(applyIgnore(text, ignoreRegexes), norm)).toLowerCase();
+}
+
+function tokenSet(s){
+  return new Set((s||"").split(" ").filter(w=>w.length>2));
+}
+function diceTokens(a,b){
+  if(!a.size && !b.size) return 1;
+  if(!a.size || !b.size) return 0;
+  const [small, big] = a.size<=b.size ? [a,b] : [b,a];
+  let common=0;
+  for(const w of small) if(big.has(w)) common++;
+  return (2*common)/(a.size+b.size);
+}
+
+// Indices (into seq) of one longest strictly increasing subsequence
+function longestIncreasingSubsequence(seq){
+  const tails=[], prevIdx=new Array(seq.length).fill(-1), tailIdx=[];
+  for(let i=0;i<seq.length;i++){
+    let lo=0, hi=tails.length;
+    while(lo<hi){ const mid=(lo+hi)>>1; if(tails[mid]<seq[i]) lo=mid+1; else hi=mid; }
+    tails[lo]=seq[i]; tailIdx[lo]=i;
+    prevIdx[i]=lo>0?tailIdx[lo-1]:-1;
+  }
+  const out=new Set();
+  let k=tailIdx[tails.length-1];
+  while(k!==undefined && k>=0){ out.add(k); k=prevIdx[k]; }
+  return out;
+}
+
+// Returns { pairs:[{et, cl, similarity, moved}], etalon:[...], client:[...] }
+// where et/cl are { ref, idx, norm } entries in document order.
+// opts.onProgress(done, total) is called as etalon clauses get matched.
+export function alignClauses(etalonMap, clientMap, opts){
+  const ignoreRegexes=opts.ignoreRegexes||[];
+  const onProgress=opts.onProgress || (()=>{});
+  const toEntries = (map) => Array.from(map.entries()).map(([ref, text], idx) => {
+    const norm=prepClauseText(text, ignoreRegexes, opts.normalization);
+    return { ref, idx, norm, tokens: tokenSet(norm) };
+  });
+  const etalon=toEntries(etalonMap);
+  const client=toEntries(clientMap);
+  const pairs=[];
+  const usedE=new Set(), usedC=new Set();
+  const link = (e, c, similarity, mapped) => {
+    usedE.add(e.idx); usedC.add(c.idx);
+    pairs.push({ et: e, cl: c, similarity, ...(mapped ? { mapped } : {}) });
+  };
+  const clientByRef=new Map(client.map(c=>[c.ref,c]));
+
+  // 0) pairs fixed by a clause mapping, see applyClauseMapping()
+  if(opts.forcedPairs?.length){
+    const etalonByRef=new Map(etalon.map(e=>[e.ref,e]));
+    for(const [er, cr] of opts.forcedPairs){
+      const e=etalonByRef.get(er), c=clientByRef.get(cr);
+      if(e && c && !usedE.has(e.idx) && !usedC.has(c.idx)) link(e, c, e.norm===c.norm ? 1.0 : similarityRatio(e.norm, c.norm), true);
+    }
+  }
+
+  // 1) same number, same text
+  for(const e of etalon){
+    const c=clientByRef.get(e.ref);
+    if(c && c.norm===e.norm) link(e, c, 1.0);
+  }
+
+  // 2) same text under another number (nearest by position)
+  const clientByText=new Map();
+  for(const c of client){
+    if(usedC.has(c.idx) || !c.norm) continue;
+    if(!clientByText.has(c.norm)) clientByText.set(c.norm, []);
+    clientByText.get(c.norm).push(c);
+  }
+  for(const e of etalon){
+    if(usedE.has(e.idx)) continue;
+    const cands=(clientByText.get(e.norm)||[]).filter(c=>!usedC.has(c.idx));
+    if(!cands.length) continue;
+    cands.sort((x,y)=>Math.abs(x.idx-e.idx)-Math.abs(y.idx-e.idx));
+    link(e, cands[0], 1.0);
+  }
+
+  onProgress(usedE.size, etalon.length);
+
+  // 3) fuzzy: best token overlap first, same number wins ties
+  const restE=etalon.filter(e=>!usedE.has(e.idx));
+  const restC=client.filter(c=>!usedC.has(c.idx));
+  const cands=[];
+  for(const e of restE){
+    for(const c of restC){
+      const score=diceTokens(e.tokens, c.tokens) + (e.ref===c.ref ? 0.05 : 0);
+      if(score>=ALIGN_MIN_DICE) cands.push({ e, c, score });
+    }
+  }
+  cands.sort((x,y)=> y.score-x.score || Math.abs(x.e.idx-x.c.idx)-Math.abs(y.e.idx-y.c.idx));
+  for(const { e, c } of cands){
+    if(usedE.has(e.idx) || usedC.has(c.idx)) continue;
+    const sim=similarityRatio(e.norm, c.norm);
+    if(sim>=ALIGN_MIN_SIM || e.ref===c.ref) link(e, c, sim);
+    onProgress(usedE.size, etalon.length);
+  }
+
+  // 4) whatever is left under the same number is a rewritten clause
+  for(const e of etalon){
+    if(usedE.has(e.idx)) continue;
+    const c=clientByRef.get(e.ref);
+    if(c && !usedC.has(c.idx)) link(e, c, similarityRatio(e.norm, c.norm));
+  }
+
+  onProgress(etalon.length, etalon.length);
+
+  // Pairs that break the document order were moved, the rest were only renumbered
+  pairs.sort((x,y)=>x.et.idx-y.et.idx);
+  const inOrder=longestIncreasingSubsequence(pairs.map(p=>p.cl.idx));
+  pairs.forEach((p,i)=>{ p.moved=!inOrder.has(i); });
+
+  return { pairs, etalon, client };
+}
+
+// opts.clauseThresholds: Map<etalon ref, threshold> from clause rules, see ruleThreshold().
+// opts.semanticSignificant: a changed number/date/amount/reference makes a clause CHANGED
+// whatever its similarity (such diffs get significant: true). Changed clauses carry
+// semantic: [category] from semanticChanges().
+export function compareClauses(etalonMap, clientMap, opts){
+  const diffs=[];
+  const simThreshold=opts.similarityThreshold ?? 0.985;
+  const { pairs, etalon, client } = alignClauses(etalonMap, clientMap, opts);
+
+  const pairByE=new Map(pairs.map(p=>[p.et.idx,p]));
+  const pairByC=new Map(pairs.map(p=>[p.cl.idx,p]));
+
+  // missing / changed / renumbered / moved (etalon order)
+  for(const e of etalon){
+    const p=pairByE.get(e.idx);
+    if(!p){
+      diffs.push({ clause_ref: e.ref, diff_type: "MISSING", order: e.idx });
+      continue;
+    }
+    let changed = p.similarity < ruleThreshold(e.ref, opts.clauseThresholds, simThreshold);
+    const semantic = (changed || opts.semanticSignificant) && e.norm !== p.cl.norm ? semanticChanges(e.norm, p.cl.norm) : [];
+    const significant = !changed && opts.semanticSignificant && semantic.length > 0;
+    if(significant) changed = true;
+    const extra = { ...(semantic.length && changed ? { semantic } : {}), ...(significant ? { significant } : {}), ...(p.mapped ? { mapped: true } : {}) };
+    if(p.cl.ref !== e.ref){
+      diffs.push({
+        clause_ref: e.ref, client_ref: p.cl.ref,
+        diff_type: p.moved ? "MOVED" : "RENUMBERED",
+        similarity: p.similarity, changed, order: e.idx, ...extra,
+      });
+    } else if(changed){
+      diffs.push({ clause_ref: e.ref, diff_type: "CHANGED", similarity: p.similarity, order: e.idx, ...extra });
+    }
+  }
+
+  // extra: placed right after the nearest preceding matched clause
+  let anchor=-1;
+  for(const c of client){
+    const p=pairByC.get(c.idx);
+    if(p){ anchor=p.et.idx; continue; }
+    diffs.push({ clause_ref: c.ref, client_ref: c.ref, diff_type: "EXTRA", order: anchor+0.5 });
+  }
+
+  diffs.sort((x,y)=> x.order-y.order);
+  return diffs;
+}
+
+// Critical etalon clauses that are missing or changed too much
+export function failedCriticalRefs(diffs, criticalSet, criticalMinSim){
+  const out=[];
+  for(const d of diffs){
+    // clause_ref is always the etalon number, so a renumbered critical clause is still checked
+    if(d.diff_type==="EXTRA" || !isCriticalRef(d.clause_ref, criticalSet)) continue;
+    const changed = d.diff_type==="CHANGED" || d.changed;
+    if(d.diff_type==="MISSING" || (changed && (d.significant || (d.similarity ?? 0) < criticalMinSim))) out.push(d.clause_ref);
+  }
+  return out;
+}
+
+// Returns { status, failures }: failures say which rule failed, see checkClauseRules().
+// Clauses from the plain critical list fail as "critical" rules with criticalMinSim.
+export function classifyStatus(diffs, criticalSet, criticalMinSim, ruleFailures){
+  const failures=[...(ruleFailures||[])];
+  const seen=new Set(failures.map(f=>`${f.ref}|${f.rule}`));
+  const byRef=new Map(diffs.filter(d=>d.diff_type!=="EXTRA").map(d=>[d.clause_ref,d]));
+  for(const ref of failedCriticalRefs(diffs, criticalSet, criticalMinSim)){
+    const d=byRef.get(ref);
+    let f;
+    if(d.diff_type==="MISSING") f={ ref, rule: "MISSING", severity: "critical", text: "пункт отсутствует" };
+    else if((d.similarity ?? 0) < criticalMinSim) f={ ref, rule: "MIN_SIM", severity: "critical", text: `сходство ${(d.similarity ?? 0).toFixed(3)} ниже порога ${criticalMinSim}` };
+    else f={ ref, rule: "SEMANTIC", severity: "critical", text: "изменены " + (d.semantic||[]).map(semanticText).join(", ") };
+    if(!seen.has(`${ref}|${f.rule}`)) failures.push(f);
+  }
+  const worst=new Set(failures.map(f=>f.severity));
+  let status="OK";
+  if(worst.has("critical")) status="NOT_APPLIED";
+  else if(diffs.length || worst.has("warning")) status="DIFFS";
+  return { status, failures };
+}
+
+// ---- inline diff ----
+// Word diff of two clause texts for display. Sentences are aligned first, so a sentence the
+// counterparty moved within the clause shows as moved rather than deleted and re-added, and
+// words are compared only within matched sentences. Diff is jsdiff (passed in: core.js is library-free).
+// Returns jsdiff-style parts: removed ones are in leftText, added ones in rightText, the rest in both.
+// Both copies of a moved sentence carry p.moved = n (numbered in etalon order), the first part
+// of a copy p.moveStart; within them p.changed marks the words that differ.
+const SENTENCE_MIN_SIM = 0.6;        // word overlap to pair two sentences
+const SENTENCE_PAIRS_MAX = 40000;    // longer clauses get the plain word diff
+const SENTENCE_SPLIT_RE = /(?<=[.!?…]["»”)]*\s+)(?=[«"“(]?\p{Lu})|(?<=;\s+|\n\s*)(?=\S)/u;
+
+export function diffClauseText(leftText, rightText, Diff){
+  const left=toSentences(leftText||""), right=toSentences(rightText||"");
+  if((left.length<2 && right.length<2) || left.length*right.length>SENTENCE_PAIRS_MAX){
+    return Diff.diffWordsWithSpace(leftText||"", rightText||"");
+  }
+
+  // pair sentences, most similar first; equal similarity goes to the closer position
+  const cands=[];
+  for(const a of left) for(const b of right){
+    const sim=a.norm===b.norm ? 1 : diceTokens(a.tokens, b.tokens);
+    if(sim>=SENTENCE_MIN_SIM) cands.push({ a, b, sim, dist: Math.abs(a.idx/left.length - b.idx/right.length) });
+  }
+  cands.sort((x,y)=>y.sim-x.sim || x.dist-y.dist);
+  const pairs=[];
+  for(const c of cands){
+    if(c.a.pair || c.b.pair) continue;
+    c.a.pair=c.b; c.b.pair=c.a;
+    pairs.push(c);
+  }
+  // pairs keeping their relative order stay in place, the rest are moves
+  pairs.sort((x,y)=>x.a.idx-y.a.idx);
+  const inPlace=longestIncreasingSubsequence(pairs.map(p=>p.b.idx));
+  let moves=0;
+  pairs.forEach((p, i) => { if(!inPlace.has(i)) p.a.moved=p.b.moved=++moves; });
+
+  const out=[];
+  const emitCopy=(s, side)=>{
+    if(!s.moved){
+      out.push({ value: s.text + s.tail, [side]: true });
+      return;
+    }
+    const [from, to] = side==="removed" ? [s, s.pair] : [s.pair, s];
+    let first=true;
+    for(const p of Diff.diffWordsWithSpace(from.text, to.text)){
+      if(side==="removed" ? p.added : p.removed) continue;
+      out.push({ value: p.value, [side]: true, moved: s.moved, ...(first ? { moveStart: true } : {}), ...(p.added || p.removed ? { changed: true } : {}) });
+      first=false;
+    }
+    if(s.tail) out.push({ value: s.tail, [side]: true });
+  };
+  let li=0, ri=0;
+  for(const p of pairs.filter((p, i) => inPlace.has(i))){
+    while(li<p.a.idx) emitCopy(left[li++], "removed");
+    while(ri<p.b.idx) emitCopy(right[ri++], "added");
+    if(p.a.text===p.b.text) out.push({ value: p.a.text });
+    else out.push(...Diff.diffWordsWithSpace(p.a.text, p.b.text));
+    if(p.a.tail===p.b.tail) out.push({ value: p.a.tail });
+    else out.push({ value: p.a.tail, removed: true }, { value: p.b.tail, added: true });
+    li++; ri++;
+  }
+  while(li<left.length) emitCopy(left[li++], "removed");
+  while(ri<right.length) emitCopy(right[ri++], "added");
+  return out.filter(p=>p.value);
+}
+
+function toSentences(text){
+  return text.split(SENTENCE_SPLIT_RE).filter(Boolean).map((s, idx) => {
+    const norm=normalizeWS(s).toLowerCase();
+    const words=(norm.match(/[\p{L}\d]+/gu) || []).filter(w=>w.length>2);
+    // trailing whitespace is kept apart, so the last sentence moved into the middle still matches
+    const tail=s.match(/\s*$/)[0];
+    return { text: s.slice(0, s.length-tail.length), tail, idx, norm, tokens: new Set(words), pair: null, moved: 0 };
+  });
+}
+
+// ---- clause rules ----
+// A rule targets one etalon clause (and its sub-items, like the critical list):
+//   { ref, minSim, required: [pattern], forbidden: [pattern], severity: info|warning|critical }
+// A pattern written as /.../ is a regex, anything else a phrase (case and spacing ignored).
+export const RULE_SEVERITIES = ["info", "warning", "critical"];
+
+const RULE_TEXT = {
+  MISSING: "пункт отсутствует",
+  MIN_SIM: "сходство ниже порога пункта",
+  REQUIRED: "нет обязательной фразы",
+  FORBIDDEN: "есть запрещённая фраза",
+  SEMANTIC: "изменены числа, даты или ссылки",
+  MANUAL: "нарушение подтверждено при проверке",
+  OUTDATED: "документ соответствует устаревшей редакции эталона",
+};
+export function ruleText(rule){ return RULE_TEXT[rule] || rule; }
+
+function compilePattern(source, norm){
+  const m=/^\/(.+)\/([a-z]*)$/.exec(source);
+  if(m){
+    const flags=m[2].replace(/[gy]/g, ""); // test() must not keep lastIndex between clauses
+    return new RegExp(m[1], flags.includes("i") ? flags : flags+"i");
+  }
+  const phrase=normalizeWS(normalizeText(source, norm)).replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replaceAll(" ", "\\s+");
+  return new RegExp(phrase, "i");
+}
+
+// Returns { rules, errors:[{ ref, source, message }] }; rules without a clause number are dropped.
+// Phrases go through the same normalization as the texts they are looked for in.
+export function compileClauseRules(rules, norm){
+  const out=[], errors=[];
+  for(const r of rules||[]){
+    const ref=String(r?.ref||"").trim();
+    if(!ref) continue;
+    const compile=(list)=>(list||[]).map(s=>String(s).trim()).filter(Boolean).flatMap(source=>{
+      try{ return [{ source, re: compilePattern(source, norm) }]; }
+      catch(err){ errors.push({ ref, source, message: err?.message || String(err) }); return []; }
+    });
+    const minSim=Number.isFinite(r.minSim) ? r.minSim : null;
+    out.push({
+      ref, minSim,
+      required: compile(r.required),
+      forbidden: compile(r.forbidden),
+      severity: RULE_SEVERITIES.includes(r.severity) ? r.severity : "warning",
+    });
+  }
+  return { rules: out, errors };
+}
+
+// Per-clause similarity thresholds; a sub-item inherits the nearest ancestor's
+export function clauseThresholds(rules){
+  return new Map(rules.filter(r=>r.minSim!==null).map(r=>[r.ref, r.minSim]));
+}
+export function ruleThreshold(ref, thresholds, fallback){
+  if(!thresholds?.size) return fallback;
+  for(const r of [ref, ...refAncestors(ref)]) if(thresholds.has(r)) return thresholds.get(r);
+  return fallback;
+}
+
+// Checks rules against an aligned pair of documents.
+// Returns failures [{ ref, rule: MISSING|MIN_SIM|REQUIRED|FORBIDDEN, severity, text }].
+export function checkClauseRules(etalonMap, clientMap, diffs, rules, norm){
+  const failures=[];
+  if(!rules?.length) return failures;
+  const byRef=new Map(diffs.filter(d=>d.diff_type!=="EXTRA").map(d=>[d.clause_ref,d]));
+  const etalonRefs=Array.from(etalonMap.keys());
+  for(const rule of rules){
+    const covered=etalonRefs.filter(ref=>ref===rule.ref || refAncestors(ref).includes(rule.ref));
+    const fail=(ref, kind, detail)=>failures.push({ ref, rule: kind, severity: rule.severity, text: detail ? `${ruleText(kind)} ${detail}` : ruleText(kind) });
+    const texts=[];
+    for(const ref of covered){
+      const d=byRef.get(ref);
+      if(d?.diff_type==="MISSING"){ fail(ref, "MISSING"); continue; }
+      if(rule.minSim!==null && d && (d.diff_type==="CHANGED" || d.changed) && (d.similarity ?? 0) < rule.minSim){
+        fail(ref, "MIN_SIM", `(${(d.similarity ?? 0).toFixed(3)} < ${rule.minSim})`);
+      }
+      texts.push(clientMap.get(d?.client_ref ?? ref) || "");
+    }
+    if(!texts.length) continue;
+    const text=normalizeWS(normalizeText(texts.join(" "), norm));
+    for(const p of rule.required) if(!p.re.test(text)) fail(rule.ref, "REQUIRED", `«${p.source}»`);
+    for(const p of rule.forbidden) if(p.re.test(text)) fail(rule.ref, "FORBIDDEN", `«${p.source}»`);
+  }
+  return failures;
+}
+
+// ---- clause mapping ----
+// The user's fix for documents the automatic pairing gets wrong (merged, split or
+// renumbered clauses), saved per counterparty file:
+//   { splits: [{ ref, at: [offset] }], links: [{ etalon: [ref], client: [ref] }], absent: [etalon ref] }
+// A split cuts a client clause into "4.2#1", "4.2#2"… at the given text offsets. A link
+// with several clauses on a side joins them into one "4.2+4.3" clause that is compared
+// as a whole. Absent etalon clauses are left out of the comparison instead of being MISSING.
+export function splitClauses(clientMap, splits){
+  const cuts=new Map((splits||[]).map(s=>[s.ref, s.at||[]]));
+  const out=new Map();
+  for(const [ref, text] of clientMap){
+    const at=[...new Set(cuts.get(ref)||[])].filter(n=>n>0 && n<text.length).sort((a,b)=>a-b);
+    if(!at.length){ out.set(ref, text); continue; }
+    const bounds=[0, ...at, text.length];
+    for(let i=1;i<bounds.length;i++) out.set(`${ref}#${i}`, text.slice(bounds[i-1], bounds[i]).trim());
+  }
+  return out;
+}
+
+// Returns { etalon, client, pairs: [[etalon key, client key]], absent: [ref], errors: [text] }:
+// the clause maps to compare (joined clauses under their "+" keys) and the pairs to force.
+// Refs that do not exist (e.g. the document changed since the mapping was made) are skipped
+// and listed in errors.
+export function applyClauseMapping(etalonMap, clientMap, mapping){
+  const client=splitClauses(clientMap, mapping?.splits);
+  const errors=[];
+  for(const s of mapping?.splits||[]) if(!clientMap.has(s.ref)) errors.push(`документ: нет пункта ${s.ref} (разделение)`);
+  const known=(map, side, refs)=>(refs||[]).filter(ref=>{
+    if(map.has(ref)) return true;
+    errors.push(`${side}: нет пункта ${ref}`);
+    return false;
+  });
+  const absent=new Set(known(etalonMap, "эталон", mapping?.absent));
+  const aliasE=new Map(), aliasC=new Map(), pairs=[];
+  for(const link of mapping?.links||[]){
+    const et=known(etalonMap, "эталон", link.etalon).filter(ref=>!absent.has(ref) && !aliasE.has(ref));
+    const cl=known(client, "документ", link.client).filter(ref=>!aliasC.has(ref));
+    if(!et.length || !cl.length) continue;
+    const ek=et.join("+"), ck=cl.join("+");
+    for(const ref of et) aliasE.set(ref, ek);
+    for(const ref of cl) aliasC.set(ref, ck);
+    pairs.push([ek, ck]);
+  }
+  // a joined clause takes the place of its first part
+  const regroup=(map, alias, skip)=>{
+    const out=new Map();
+    for(const [ref, text] of map){
+      if(skip?.has(ref)) continue;
+      const key=alias.get(ref) || ref;
+      if(key===ref) out.set(ref, text);
+      else if(!out.has(key)) out.set(key, key.split("+").map(r=>map.get(r)).join("\n"));
+    }
+    return out;
+  };
+  return { etalon: regroup(etalonMap, aliasE, absent), client: regroup(client, aliasC), pairs, absent: [...absent], errors };
+}
+
+export function mappingIsEmpty(mapping){
+  return !mapping?.splits?.length && !mapping?.links?.length && !mapping?.absent?.length;
+}
+
+// ---- template placeholders ----
+// Slots in the etalon text for what legitimately differs per counterparty: {{ORG_NAME}},
+// {{DATE:DATE}}, {{SUM:AMOUNT}}, {{CODE:/\d{3}-[а-я]+/}} (a regex over the normalized,
+// lower-case text). A clause that reads as the etalon one with conforming values in the
+// slots is a match; the values are reported per counterparty. A value is at most SLOT_MAX_LEN
+// characters, and TEXT does not run past the end of a sentence.
+export const PLACEHOLDER_TYPES = {
+  TEXT: String.raw`(?:[^.!?…;\n]|\.(?=[^\s.]))+`,
+  ORG: String.raw`(?:${ORG_FORM})\s*(?:«[^»\n]{2,120}»|"[^"\n]{2,120}"|“[^”\n]{2,120}”)`,
+  DATE: String.raw`\d{1,2}\.\d{1,2}\.\d{2,4}(?:\s*г(?:ода|\.)?)?|["«]?\d{1,2}["»]?\s+(?:${MONTHS})\s+\d{4}(?:\s*г(?:ода|\.)?)?`,
+  NUMBER: NUM,
+  AMOUNT: String.raw`${NUM}\s*(?:\([^)]{1,80}\)\s*)?(?:(?:тыс|млн|млрд)[а-яё]*\.?\s*)?(?:руб[а-яё]*\.?|₽)(?:\s*\d{1,2}\s*коп[а-яё]*\.?)?`,
+  PERCENT: String.raw`${NUM}\s*(?:\([^)]{1,60}\)\s*)?(?:%|процент[а-яё]*)`,
+  INN: String.raw`\d{10}|\d{12}`,
+  OGRN: String.raw`\d{13}|\d{15}`,
+  KPP: String.raw`\d{9}`,
+};
+const PLACEHOLDER_RE = /\{\{\s*([\p{L}_][\p{L}\d_]*)\s*(?::\s*(\/(?:[^/\\\n]|\\.)+\/|[\p{L}_]+)\s*)?\}\}/gu;
+const SLOT_BASE = 0xe000; // private-use characters stand in for the slots while the text is normalized
+const SLOT_MAX_LEN = 300;
+const PLACEHOLDER_NEAR = 3; // client clauses this far (by position) from the expected place are tried
+
+function hasPlaceholders(text){
+  PLACEHOLDER_RE.lastIndex = 0;
+  return PLACEHOLDER_RE.test(text||"");
+}
+
+// { template (slots replaced by private-use characters), slots: [{ name, type, pattern }], errors: [message] }
+function parsePlaceholders(text){
+  const slots=[], errors=[];
+  const template=(text||"").replace(PLACEHOLDER_RE, (m, name, spec) => {
+    let type=(spec || "TEXT").toUpperCase(), pattern=PLACEHOLDER_TYPES[type];
+    if(spec?.startsWith("/")){
+      type="REGEX";
+      pattern=spec.slice(1, -1);
+      try{ new RegExp(pattern, "iu"); }
+      catch(err){ errors.push(`${m}: ${err?.message || err}`); type="TEXT"; pattern=PLACEHOLDER_TYPES.TEXT; }
+    } else if(!pattern){
+      errors.push(`${m}: неизвестный тип (${Object.keys(PLACEHOLDER_TYPES).join(", ")} или /regex/)`);
+      type="TEXT"; pattern=PLACEHOLDER_TYPES.TEXT;
+    }
+    slots.push({ name, type, pattern });
+    return String.fromCharCode(SLOT_BASE + slots.length - 1);
+  });
+  return { template, slots, errors };
+}
+
+// Literal parts of a template around its slots (lower-case): literals.length === slots + 1
+function templateLiterals(template){
+  return template.split(/[\uE000-\uF8FF]/u).map(part=>part.toLowerCase());
+}
+
+// Slot values when text reads as the template, else null. Each slot takes the shortest
+// conforming value before an occurrence of its next literal, at most SLOT_MAX_LEN long; a
+// (slot, position) that already failed is not tried again, so the search stays polynomial
+// however often a literal repeats in the clause.
+function matchTemplate(literals, slotRes, text){
+  const low=text.toLowerCase();
+  const hay=low.length===text.length ? low : text;
+  if(!hay.startsWith(literals[0])) return null;
+  const failed=new Set();
+  const fill=(i, pos)=>{
+    const next=literals[i+1];
+    if(i===slotRes.length-1){
+      const end=hay.length-next.length;
+      if(end<=pos || end-pos>SLOT_MAX_LEN || !hay.endsWith(next)) return null;
+      const value=text.slice(pos, end);
+      return slotRes[i].test(value) ? [value] : null;
+    }
+    const key=i*(hay.length+1)+pos;
+    if(failed.has(key)) return null;
+    for(let at=hay.indexOf(next, pos+1); at>=0 && at-pos<=SLOT_MAX_LEN; at=hay.indexOf(next, at+1)){
+      const value=text.slice(pos, at);
+      if(!slotRes[i].test(value)) continue;
+      const rest=fill(i+1, at+next.length);
+      if(rest) return [value, ...rest];
+    }
+    failed.add(key);
+    return null;
+  };
+  return fill(0, literals[0].length);
+}
+
+// Fields of the etalon for display: { names: [name], errors: [{ ref, message }] }; a malformed slot is taken as TEXT
+export function placeholderSummary(etalonMap){
+  const names=new Set(), errors=[];
+  for(const [ref, text] of etalonMap){
+    if(!hasPlaceholders(text)) continue;
+    const parsed=parsePlaceholders(text);
+    for(const s of parsed.slots) names.add(s.name);
+    for(const message of parsed.errors) errors.push({ ref, message });
+  }
+  return { names: [...names], errors };
+}
+
+// Placeholder slots of the etalon clauses: Map<ref, { slots, slotRes, literals, rawLiterals }>
+function compilePlaceholders(etalonMap, opts){
+  const out=new Map();
+  for(const [ref, text] of etalonMap){
+    if(!hasPlaceholders(text)) continue;
+    const { template, slots } = parsePlaceholders(text);
+    out.set(ref, {
+      slots,
+      slotRes: slots.map(s=>new RegExp(`^(?:${s.pattern})$`, "iu")),
+      // decide whether the clause conforms, on the texts as they are compared
+      literals: templateLiterals(prepClauseText(template, opts.ignoreRegexes||[], opts.normalization)),
+      // the same over the original text, for values as the counterparty wrote them
+      rawLiterals: templateLiterals(normalizeWS(template)),
+    });
+  }
+  return out;
+}
+
+// Fills the etalon's slots from the document. A conforming client clause (same number first,
+// then the nearest ones, up to PLACEHOLDER_NEAR clauses away) takes the etalon clause's place,
+// so the pair compares as equal.
+// Returns { etalon: Map with filled texts, values: [{ ref, client_ref, name, type, value }] };
+// value is null when no client clause conforms.
+export function resolvePlaceholders(etalonMap, clientMap, opts){
+  const placeholders=compilePlaceholders(etalonMap, opts);
+  if(!placeholders.size) return { etalon: etalonMap, values: [] };
+  const client=Array.from(clientMap, ([ref, text], idx) => ({ ref, text, idx, norm: prepClauseText(text, opts.ignoreRegexes||[], opts.normalization) }));
+  const clientByRef=new Map(client.map(c=>[c.ref, c]));
+  const etalonIdx=new Map(Array.from(etalonMap.keys(), (ref, i) => [ref, i]));
+  const used=new Set();
+  const etalon=new Map(etalonMap);
+  const values=[];
+  for(const [ref, ph] of placeholders){
+    // near where the clause is expected: its position in the etalon, or the clause under the same number
+    const at=[etalonIdx.get(ref), clientByRef.get(ref)?.idx].filter(i=>i!==undefined);
+    const dist=(c)=>Math.min(...at.map(i=>Math.abs(c.idx-i)));
+    const cands=client.filter(c=>!used.has(c.idx) && (c.ref===ref || dist(c)<=PLACEHOLDER_NEAR))
+      .sort((a, b) => (b.ref===ref) - (a.ref===ref) || dist(a) - dist(b));
+    let c=null, m=null;
+    for(const cand of cands){
+      if((m=matchTemplate(ph.literals, ph.slotRes, cand.norm))){ c=cand; break; }
+    }
+    if(!c){
+      for(const s of ph.slots) values.push({ ref, client_ref: null, name: s.name, type: s.type, value: null });
+      continue;
+    }
+    used.add(c.idx);
+    etalon.set(ref, c.text);
+    m=matchTemplate(ph.rawLiterals, ph.slotRes, normalizeWS(c.text)) || m;
+    ph.slots.forEach((s, i) => values.push({ ref, client_ref: c.ref, name: s.name, type: s.type, value: normalizeWS(m[i]) }));
+  }
+  return { etalon, values };
+}
+
+// The etalon as it was compared with a document: a clause whose fields matched reads as the
+// document's clause (placeholders as in a verdict), so exports show no change in it
+export function filledEtalon(etalonMap, clientMap, placeholders){
+  const out=new Map(etalonMap);
+  for(const p of placeholders||[]){
+    if(p.client_ref!==null && clientMap.has(p.client_ref)) out.set(p.ref, clientMap.get(p.client_ref));
+  }
+  return out;
+}
+
+// ---- counterparty verdict ----
+// Profile/UI settings → comparison options. Regex errors are returned, not thrown.
+export function optionsFromSettings(st){
+  const { regexes, errors } = compileIgnoreRegexes(st?.ignoreRegexes || []);
+  const { errors: normalizationErrors, ...normalization } = compileNormalization(st?.normalization);
+  const { rules, errors: ruleErrors } = compileClauseRules(st?.clauseRules, normalization);
+  return {
+    criticalSet: new Set(String(st?.criticalClauses || "").split(",").map(s=>s.trim()).filter(Boolean)),
+    similarityThreshold: st?.similarityThreshold ?? 0.985,
+    criticalMinSim: st?.criticalMinSim ?? 0.97,
+    ignoreRegexes: regexes,
+    clauseRules: rules,
+    clauseThresholds: clauseThresholds(rules),
+    semanticSignificant: !!st?.semanticSignificant,
+    normalization,
+    regexErrors: errors,
+    ruleErrors,
+    normalizationErrors,
+  };
+}
+
+const MIN_TEXT_LEN = 50;
+
+// Full verdict for one counterparty document against the etalon.
+// client: { text, clauses, diagnostics, mapping? } (mapping: see applyClauseMapping()).
+// Returns { status, review_reason, diffs, rule_failures, normalized } (normalized: see normalizationSuppressed()),
+// plus absent: [ref] and mapping_errors: [text] (refs the mapping names but the texts lack) with a mapping,
+// and placeholders: [{ ref, client_ref, name, type, value }] (see resolvePlaceholders()).
+export function evaluateCounterparty(etalonClauses, client, options, onProgress){
+  if(!client.text || client.text.length < MIN_TEXT_LEN || client.clauses.size === 0){
+    return { status: "NEEDS_REVIEW", review_reason: "Не удалось извлечь текст или пункты", diffs: [], rule_failures: [], normalized: [] };
+  }
+  const mapped = mappingIsEmpty(client.mapping) ? null : applyClauseMapping(etalonClauses, client.clauses, client.mapping);
+  const clientMap = mapped ? mapped.client : client.clauses;
+  const filled = resolvePlaceholders(mapped ? mapped.etalon : etalonClauses, clientMap, options);
+  const etalonMap = filled.etalon;
+  const diffs = compareClauses(etalonMap, clientMap, { ...options, forcedPairs: mapped?.pairs, onProgress });
+  const ruleFailures = checkClauseRules(etalonMap, clientMap, diffs, options.clauseRules, options.normalization);
+  const { status, failures } = classifyStatus(diffs, options.criticalSet, options.criticalMinSim, ruleFailures);
+  const reviewReason = client.diagnostics?.reviewReason || null;
+  const normalized = normalizationSuppressed(etalonMap, clientMap, diffs, options);
+  return {
+    status: reviewReason ? "NEEDS_REVIEW" : status, review_reason: reviewReason, diffs, rule_failures: failures, normalized,
+    ...(mapped ? { absent: mapped.absent } : {}),
+    ...(mapped?.errors.length ? { mapping_errors: mapped.errors } : {}),
+    ...(filled.values.length ? { placeholders: filled.values } : {}),
+  };
+}
+
+// ---- etalon editions ----
+// Several editions of the standard can be loaded (older ones, variants for customer
+// types); each document is compared with the one it is closest to.
+// editions: [{ source_file, clauses, outdated }], current editions first.
+
+// How close a document is to each edition (0..1): clauses are aligned as for the comparison and
+// their similarities summed, unpaired clauses on either side count as 0 (2·Σsim / (clauses of both)).
+// A document edited in most clauses still scores higher against the edition it was made from.
+export function editionScores(editions, clientClauses, opts){
+  return editions.map(ed=>{
+    const { pairs, etalon, client } = alignClauses(resolvePlaceholders(ed.clauses, clientClauses, opts).etalon, clientClauses, { ...opts, onProgress: null });
+    const total=etalon.length+client.length;
+    const sum=pairs.reduce((acc, p)=>acc+p.similarity, 0);
+    return total ? Number((2*sum/total).toFixed(4)) : 0;
+  });
+}
+
+// evaluateCounterparty() against the best-fitting edition; ties go to the earlier (current) one.
+// Adds edition: { index, source_file, outdated, scores }; an outdated edition fails as a critical rule.
+export function evaluateAgainstEditions(editions, client, options, onProgress){
+  const scores=editionScores(editions, client.clauses, options);
+  let best=0;
+  scores.forEach((sc, i)=>{ if(sc>scores[best]) best=i; });
+  const ed=editions[best];
+  const verdict=evaluateCounterparty(ed.clauses, client, options, onProgress);
+  verdict.edition={ index: best, source_file: ed.source_file, outdated: !!ed.outdated, scores };
+  if(ed.outdated && client.clauses.size){
+    verdict.rule_failures=[{ ref: "", rule: "OUTDATED", severity: "critical", text: `${ruleText("OUTDATED")} (${ed.source_file})` }, ...verdict.rule_failures];
+    if(verdict.status!=="NEEDS_REVIEW") verdict.status="NOT_APPLIED";
+  }
+  return verdict;
+}
+
+// ---- manual review ----
+// A lawyer's decision on a diff: { decision: accepted|violation|null, comment, by, date }.
+// Decisions are keyed by the diff and both clause texts, so they come back on a re-run
+// only while the same texts reappear.
+export const REVIEW_DECISIONS = ["accepted", "violation"];
+export const OVERRIDE_STATUSES = ["OK", "DIFFS", "NOT_APPLIED", "NEEDS_REVIEW"];
+
+// FNV-1a (32 bit) of the whitespace-normalized text, hex
+export function textHash(s){
+  let h=0x811c9dc5;
+  const t=normalizeWS(s);
+  for(let i=0;i<t.length;i++){ h^=t.charCodeAt(i); h=Math.imul(h, 0x01000193); }
+  return (h>>>0).toString(16).padStart(8, "0");
+}
+
+export function reviewKey(d, etalonMap, clientMap){
+  const et = d.diff_type==="EXTRA" ? "" : etalonMap?.get(d.clause_ref) || "";
+  const cl = d.diff_type==="MISSING" ? "" : clientMap?.get(d.client_ref ?? d.clause_ref) || "";
+  return `${diffKey(d)}|${textHash(et)}|${textHash(cl)}`;
+}
+
+// Status after review. Accepted diffs (and rule failures on their clauses) no longer
+// count, a confirmed violation fails like a critical rule; r.override wins over all.
+// r: a result with diffs[].review and auto_status / auto_rule_failures (the verdict
+// before review; status / rule_failures when not reviewed yet). Returns { status, failures }.
+export function reviewedStatus(r, criticalSet, criticalMinSim){
+  const isAccepted=(d)=>d.review?.decision==="accepted";
+  const acceptedRefs=new Set(r.diffs.filter(isAccepted).map(d=>d.clause_ref));
+  const diffs=r.diffs.filter(d=>!isAccepted(d));
+  const failures=(r.auto_rule_failures ?? r.rule_failures ?? []).filter(f=>f.rule!=="MANUAL" && !acceptedRefs.has(f.ref));
+  for(const d of diffs){
+    if(d.review?.decision!=="violation") continue;
+    const ref=d.diff_type==="EXTRA" ? (d.client_ref ?? d.clause_ref) : d.clause_ref;
+    failures.push({ ref, rule: "MANUAL", severity: "critical", text: ruleText("MANUAL") });
+  }
+  const res=classifyStatus(diffs, criticalSet, criticalMinSim, failures);
+  if(r.override) return { status: r.override.status, failures: res.failures };
+  const auto=r.auto_status ?? r.status;
+  if(auto==="NEEDS_REVIEW" || auto==="UNREADABLE") return { status: auto, failures: res.failures };
+  return res;
+}
+
+// ---- re-check between runs ----
+// A deviation is identified by the etalon clause it concerns (extra clauses by
+// the counterparty's number), so a clause renumbered between versions still matches.
+export function diffKey(d){
+  return d.diff_type==="EXTRA" ? `EXTRA|${d.client_ref ?? d.clause_ref}` : `ET|${d.clause_ref}`;
+}
+
+// What changed since the previous check of the same counterparty.
+// Returns { fixed: prev diffs gone now, added: new diffs, open: diffs still present }.
+export function compareRuns(prevDiffs, curDiffs){
+  const prevKeys=new Set((prevDiffs||[]).map(diffKey));
+  const curKeys=new Set((curDiffs||[]).map(diffKey));
+  return {
+    fixed: (prevDiffs||[]).filter(d=>!curKeys.has(diffKey(d))),
+    added: (curDiffs||[]).filter(d=>!prevKeys.has(diffKey(d))),
+    open: (curDiffs||[]).filter(d=>prevKeys.has(diffKey(d))),
+  };
+}
+
+// ---- profiles ----
+// A named set of comparison settings, optionally with the parsed etalon.
+// `version` guards the format of stored and exported profiles.
+export const PROFILE_FORMAT = "223fz-compare-profile";
+export const PROFILE_VERSION = 4; // 2: settings.clauseRules, 3: settings.normalization, 4: editions
+
+// Checks a profile read from storage or from a file
+export function validateProfile(p){
+  if(!p || p.format !== PROFILE_FORMAT) throw new Error("Файл не является профилем сравнения");
+  if(typeof p.version !== "number" || p.version > PROFILE_VERSION){
+    throw new Error(`Неподдерживаемая версия профиля: ${p.version} (поддерживается до ${PROFILE_VERSION})`);
+  }
+  if(!p.name || typeof p.name !== "string") throw new Error("У профиля нет названия");
+  if(!p.settings || typeof p.settings !== "object") throw new Error("В профиле нет настроек");
+  if(p.editions && (!p.etalon || !Array.isArray(p.editions))) throw new Error("Повреждён список редакций эталона в профиле");
+  return p;
+}
+
+// A profile keeps the primary edition as p.etalon and the other loaded editions in p.editions,
+// each { source_file, clauses: [[ref, text]], nodes, diagnostics, outdated }.
+function parsedEdition(ed){
+  const clauses = new Map(ed.clauses);
+  return {
+    source_file: ed.source_file,
+    text: Array.from(clauses.values()).join("\n"),
+    clauses,
+    nodes: new Map(ed.nodes || []),
+    diagnostics: ed.diagnostics || null,
+  };
+}
+
+// Parsed etalon stored in a profile: { source_file, text, clauses, nodes, diagnostics }
+export function etalonFromProfile(p){
+  return parsedEdition(p.etalon);
+}
+
+// Every edition stored in a profile, current ones first, the primary one at the head: [{ ...etalonFromProfile(p), outdated }]
+export function editionsFromProfile(p){
+  return [p.etalon, ...(p.editions || [])].map(ed => ({ ...parsedEdition(ed), outdated: !!ed.outdated }))
+    .sort((a, b) => a.outdated - b.outdated);
+}
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+// fetch-vendor.mjs (Node ESM)
+// Downloads the libraries the page loads into vendor/, so it works with no internet access
+// (copy the folder together with the page to a closed network):
+//   node fetch-vendor.mjs
+// vendor/ is not committed; rerun after changing a version below.
+//   vendor/pdfjs/                     pdf.min.mjs, pdf.worker.min.mjs (pdfjs-dist)
+//   vendor/mammoth.browser.min.js, vendor/diff.min.js, vendor/docx.umd.js, vendor/xlsx.full.min.js
+//   vendor/tesseract/                 tesseract.min.js, worker.min.js (tesseract.js)
+//   vendor/tesseract/core/            tesseract-core*-lstm.wasm.js (tesseract.js-core, LSTM engine only)
+//   vendor/tesseract/lang/            rus.traineddata.gz (Russian model)
+//   vendor/files.json                 the list above, precached by sw.js
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { gunzipSync } from "node:zlib";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "vendor");
+const REGISTRY = "https://registry.npmjs.org";
+
+// [npm package, version, tarball path -> destination under vendor/ (null to skip), tarball URL if not on npm]
+const PACKAGES = [
+  ["pdfjs-dist", "4.6.82", (p) => /^build\/pdf(\.worker)?\.min\.mjs$/.test(p) ? "pdfjs/" + path.basename(p) : null],
+  ["mammoth", "1.13.0", (p) => p === "mammoth.browser.min.js" ? p : null],
+  ["diff", "8.0.2", (p) => p === "dist/diff.min.js" ? "diff.min.js" : null],
+  ["docx", "8.5.0", (p) => p === "build/index.umd.js" ? "docx.umd.js" : null],
+  ["xlsx", "0.20.3", (p) => p === "dist/xlsx.full.min.js" ? "xlsx.full.min.js" : null, "https://cdn.sheetjs.com/xlsx-0.20.3/xlsx-0.20.3.tgz"],
+  ["tesseract.js", "5.1.1", (p) => /^dist\/(tesseract|worker)\.min\.js$/.test(p) ? "tesseract/" + path.basename(p) : null],
+  ["tesseract.js-core", "5.1.1", (p) => /^tesseract-core[\w-]*-lstm\.wasm\.js$/.test(p) ? "tesseract/core/" + p : null],
+];
+// Files taken as is: [url, destination under vendor/]
+const FILES = [
+  ["https://cdn.jsdelivr.net/npm/@tesseract.js-data/rus@1.0.0/4.0.0_best_int/rus.traineddata.gz", "tesseract/lang/rus.traineddata.gz"],
+];
+
+async function download(url){
+  const res = await fetch(url);
+  if(!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+// Regular files of a .tgz as [path without the leading "package/", contents]
+function* untar(tgz){
+  const tar = gunzipSync(tgz);
+  let longName = null;
+  for(let off = 0; off + 512 <= tar.length;){
+    const header = tar.subarray(off, off + 512);
+    if(header.every(b => b === 0)) break;
+    const field = (from, len) => header.subarray(from, from + len).toString("utf8").replace(/\0.*$/s, "");
+    const size = parseInt(field(124, 12).trim() || "0", 8);
+    const type = field(156, 1);
+    const body = tar.subarray(off + 512, off + 512 + size);
+    off += 512 + Math.ceil(size / 512) * 512;
+    if(type === "L"){ longName = body.toString("utf8").replace(/\0.*$/s, ""); continue; }
+    const name = longName || (field(345, 155) ? field(345, 155) + "/" : "") + field(0, 100);
+    longName = null;
+    if(type === "0" || type === "") yield [name.replace(/^[^/]+\//, ""), body];
+  }
+}
+
+const saved = [];
+
+async function save(dest, data){
+  const file = path.join(ROOT, dest);
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, data);
+  saved.push(dest);
+  console.error(`  ${path.relative(process.cwd(), file)} (${Math.round(data.length / 1024)} КБ)`);
+}
+
+async function main(){
+  for(const [name, version, pick, url] of PACKAGES){
+    console.error(`${name}@${version}`);
+    const tgz = await download(url || `${REGISTRY}/${name}/-/${name.split("/").pop()}-${version}.tgz`);
+    let n = 0;
+    for(const [p, data] of untar(tgz)){
+      const dest = pick(p);
+      if(dest){ await save(dest, data); n++; }
+    }
+    if(!n) throw new Error(`${name}@${version}: нужные файлы не найдены в пакете`);
+  }
+  for(const [url, dest] of FILES){
+    console.error(url);
+    await save(dest, await download(url));
+  }
+  await writeFile(path.join(ROOT, "files.json"), JSON.stringify(saved, null, 2));
+}
+
+main().catch((err) => {
+  console.error(err?.message || String(err));
+  process.exitCode = 1;
+});
@@ -0,0 +1,586 @@
+// report.js (ESM)
+// DOM-free report builders shared by the page and cli.mjs: labels, DOCX reports
+// and summary tables. Libraries (docx, jsdiff) are passed in by the caller.
+import { diffClauseText, failedCriticalRefs, filledEtalon, isCriticalRef, issueText, markNormalizedParts, markSemanticParts, META_FIELDS, normalizeStepTitle, semanticText } from "./core.js";
+
+// ---- labels ----
+export function statusText(status){
+  if(status==="OK") return "всё внесено";
+  if(status==="NOT_APPLIED") return "изменения не внесены";
+  if(status==="NEEDS_REVIEW") return "нужна ручная проверка";
+  if(status==="UNREADABLE") return "файл не прочитан";
+  return "есть расхождения";
+}
+
+// Node path for display: "6.10.17(б)" → "п. 6.10.17(б)", "Прил.1/2.3" → "Прил.1, п. 2.3"
+export function formatRef(ref){
+  const slash = ref.indexOf("/");
+  if(slash > 0) return `${ref.slice(0, slash)}, ${formatRef(ref.slice(slash+1))}`;
+  return /^\d/.test(ref) ? `п. ${ref}` : ref;
+}
+
+// "п. 5.3" or "п. 5.3 → 5.4" when the counterparty numbers the clause differently
+export function clauseRefLabel(d){
+  if(d.client_ref && d.client_ref !== d.clause_ref && d.diff_type !== "EXTRA"){
+    return `${formatRef(d.clause_ref)} → ${d.client_ref}`;
+  }
+  return formatRef(d.clause_ref);
+}
+
+export function isCriticalDiff(d, criticalSet){
+  return d.diff_type !== "EXTRA" && isCriticalRef(d.clause_ref, criticalSet);
+}
+
+// Etalon / document texts for a diff (the client clause may have another number)
+export function diffTexts(d, etalonClauses, clientClauses){
+  const absent = "— отсутствует —";
+  return {
+    leftText: d.diff_type === "EXTRA" ? absent : (etalonClauses?.get(d.clause_ref) || ""),
+    rightText: d.diff_type === "MISSING" ? absent : (clientClauses?.get(d.client_ref ?? d.clause_ref) || ""),
+  };
+}
+
+const SEVERITY_TEXT = { info: "инфо", warning: "предупреждение", critical: "критично" };
+export function severityText(severity){ return SEVERITY_TEXT[severity] || severity; }
+
+// "п. 5.3: нет обязательной фразы «30 дней» [критично]"
+export function ruleFailureLine(f){
+  return `${f.ref ? formatRef(f.ref) + ": " : ""}${f.text} [${severityText(f.severity)}]`;
+}
+
+// "сроки, суммы" for a diff's semantic categories; "" when there are none
+export function semanticLabel(d){
+  return (d.semantic || []).map(semanticText).join(", ");
+}
+
+// "эталон-2023.docx (устаревшая редакция), совпадение 92%" for the edition a document was compared with
+export function editionText(edition){
+  if(!edition) return "";
+  const score = edition.scores?.[edition.index];
+  return `${edition.source_file}${edition.outdated ? " (устаревшая редакция)" : ""}` + (score !== undefined ? `, совпадение ${Math.round(score * 100)}%` : "");
+}
+
+// Organisation name from the document (or as corrected by the user), else the file name
+export function counterpartyTitle(r){
+  return r.meta?.org || r.name;
+}
+
+// "ИНН 7701234567 • КПП 770101001 • ОГРН 1027700000000" and
+// "Утверждено: решением Совета директоров от 12.03.2024, № 5"; empty lines are left out
+export function metaLines(meta){
+  if(!meta) return [];
+  const ids = ["inn", "kpp", "ogrn"].filter(k => meta[k]).map(k => `${META_FIELDS.find(f => f[0] === k)[1]} ${meta[k]}`).join(" • ");
+  const approval = [meta.approvedBy, meta.approvedAt && "от " + meta.approvedAt, meta.protocol && "№ " + meta.protocol].filter(Boolean);
+  return [ids, approval.length ? "Утверждено: " + approval.join(", ").replace(/, от /, " от ") : ""].filter(Boolean);
+}
+
+// Values of the etalon's {{…}} fields as [[name, value]]: a field met in several clauses with
+// different values gets them joined with " | ", "не найдено (п. 1.2)" where no clause conforms
+export function placeholderValues(r){
+  const byName = new Map();
+  for(const p of r.placeholders || []){
+    if(!byName.has(p.name)) byName.set(p.name, { values: new Set(), missing: [] });
+    const it = byName.get(p.name);
+    if(p.value === null) it.missing.push(p.ref);
+    else it.values.add(p.value);
+  }
+  return Array.from(byName, ([name, it]) => {
+    const missing = it.missing.length ? [`не найдено (${it.missing.map(formatRef).join(", ")})`] : [];
+    return [name, [...it.values, ...missing].join(" | ")];
+  });
+}
+
+const DECISION_TEXT = { accepted: "допустимое отклонение", violation: "нарушение" };
+export function decisionText(decision){ return DECISION_TEXT[decision] || ""; }
+
+// "нарушение — комментарий" for a diff's manual decision; "" when there is none
+export function reviewText(review){
+  if(!review) return "";
+  const decision = decisionText(review.decision);
+  if(!decision) return review.comment ? "комментарий: " + review.comment : "";
+  return review.comment ? `${decision} — ${review.comment}` : decision;
+}
+
+export function diagnosticLine(it){
+  const where = it.ref ? formatRef(it.ref) + ": " : "";
+  return `${where}${issueText(it.type)} — ${it.text}`;
+}
+
+// ---- DOCX export (one file per counterparty) ----
+export function sanitizeFilename(name){
+  return (name||"контрагент").replace(/[\\/:*?"<>|]+/g, "_").trim() || "контрагент";
+}
+
+const MOVED_COLOR = "7030A0";
+
+function textRunsFromDiffParts(d, parts, side){
+  // side: "left" => Etalon, "right" => Document
+  // In Etalon we DO NOT strike removed fragments. Instead:
+  //   removed fragment -> bold + "(не найдено у контрагента)"
+  // In Document:
+  //   added fragment -> bold (no extra note)
+  // Changed numbers, dates, amounts and references (p.semantic) are also highlighted;
+  // fragments that differ only until normalization (p.normalized) are grey, not bold.
+  // A sentence moved within the clause (p.moved) is purple on both sides, marked "⇅n" where it starts.
+
+  const runs = [];
+
+  function pushTextWithBreaks(text, style){
+    const lines = (text || "").split("\n");
+    for(let i=0;i<lines.length;i++){
+      const t = lines[i];
+      if(i===0) runs.push(new d.TextRun({ text: t, ...style }));
+      else runs.push(new d.TextRun({ text: t, break: 1, ...style }));
+    }
+  }
+
+  for(const p of parts){
+    const val = p.value || "";
+    const isAdded = !!p.added;
+    const isRemoved = !!p.removed;
+    const hasMeaningful = val.trim().length > 0;
+
+    if(p.normalized){
+      if(side === "left" ? !isAdded : !isRemoved) pushTextWithBreaks(val, { color: "808080" });
+      continue;
+    }
+    if(p.moved){
+      if(side === "left" ? isAdded : isRemoved) continue;
+      if(p.moveStart) runs.push(new d.TextRun({ text: `⇅${p.moved} `, color: MOVED_COLOR, superScript: true }));
+      const changed = p.changed && hasMeaningful;
+      pushTextWithBreaks(val, { color: MOVED_COLOR, ...(changed ? { bold: true } : {}), ...(changed && p.semantic ? { highlight: "yellow" } : {}) });
+      continue;
+    }
+    if(side === "left"){
+      if(isAdded) continue; // doesn't exist in etalon
+      if(isRemoved){
+        pushTextWithBreaks(val, { bold: true, ...(p.semantic ? { highlight: "yellow" } : {}) });
+      } else {
+        pushTextWithBreaks(val, {});
+      }
+    } else {
+      // right
+      if(isRemoved) continue; // not in document
+      if(isAdded){
+        pushTextWithBreaks(val, { bold: true, ...(p.semantic ? { highlight: "yellow" } : {}) });
+      } else {
+        pushTextWithBreaks(val, {});
+      }
+    }
+  }
+
+  if(!runs.length) runs.push(new d.TextRun(""));
+  return runs;
+}
+
+function diagnosticsParagraphs(d, title, diag){
+  const issues = diag?.issues || [];
+  if(!issues.length) return [];
+  const out = [ new d.Paragraph({ text: title, heading: d.HeadingLevel.HEADING_2, spacing: { before: 250, after: 120 } }) ];
+  for(const it of issues) out.push(new d.Paragraph({ text: diagnosticLine(it), bullet: { level: 0 } }));
+  return out;
+}
+
+// Report for one counterparty: every diff as an etalon/document table.
+// ctx: { etalon, client, criticalSet, normalization }, libs: { docx, Diff }. Returns a docx Document.
+export function buildCounterpartyDocx(counterparty, ctx, libs){
+  const d = libs.docx;
+  const etalonClauses = ctx.etalon.clauses;
+  const clientClauses = ctx.client.clauses;
+  const criticalSet = ctx.criticalSet;
+  const children = [];
+
+  children.push(new d.Paragraph({ text: `Контрагент: ${counterpartyTitle(counterparty)}`, heading: d.HeadingLevel.HEADING_1 }));
+  for(const line of metaLines(counterparty.meta)) children.push(new d.Paragraph({ text: line }));
+  children.push(new d.Paragraph({ text: `Статус: ${statusText(counterparty.status)} (${counterparty.status})` }));
+  if(counterparty.override){
+    const o = counterparty.override;
+    children.push(new d.Paragraph({ text: `Статус изменён вручную (автоматически: ${statusText(counterparty.auto_status)}): ${o.reason}${o.by ? " — " + o.by : ""}` }));
+  }
+  if(counterparty.review_reason) children.push(new d.Paragraph({ text: `Причина: ${counterparty.review_reason}` }));
+  if(counterparty.edition) children.push(new d.Paragraph({ text: `Редакция эталона: ${editionText(counterparty.edition)}` }));
+  if(counterparty.source_file) children.push(new d.Paragraph({ text: `Файл: ${counterparty.source_file}`, spacing: { after: 200 }}));
+  if(counterparty.absent?.length){
+    children.push(new d.Paragraph({ text: `Намеренно отсутствуют (сопоставление пунктов): ${counterparty.absent.map(formatRef).join(", ")}` }));
+  }
+  if(counterparty.mapping_errors?.length){
+    children.push(new d.Paragraph({ text: `Сопоставление пунктов не применено частично: ${counterparty.mapping_errors.join("; ")}` }));
+  }
+  const fields = placeholderValues(counterparty);
+  if(fields.length){
+    children.push(new d.Paragraph({ text: "Поля шаблона", heading: d.HeadingLevel.HEADING_2, spacing: { before: 250, after: 120 } }));
+    for(const [name, value] of fields) children.push(new d.Paragraph({ text: `${name}: ${value}`, bullet: { level: 0 } }));
+  }
+  if(counterparty.rule_failures?.length){
+    children.push(new d.Paragraph({ text: "Нарушенные правила", heading: d.HeadingLevel.HEADING_2, spacing: { before: 250, after: 120 } }));
+    for(const f of counterparty.rule_failures) children.push(new d.Paragraph({ text: ruleFailureLine(f), bullet: { level: 0 } }));
+  }
+  children.push(...diagnosticsParagraphs(d, "Диагностика структуры: документ", counterparty.diagnostics));
+  children.push(...diagnosticsParagraphs(d, "Диагностика структуры: эталон", ctx.etalon.diagnostics));
+  if(counterparty.normalized?.length){
+    children.push(new d.Paragraph({ text: "Различия, снятые нормализацией", heading: d.HeadingLevel.HEADING_2, spacing: { before: 250, after: 120 } }));
+    for(const it of counterparty.normalized){
+      children.push(new d.Paragraph({ text: `${formatRef(it.ref)} — ${it.steps.map(normalizeStepTitle).join(", ")}`, bullet: { level: 0 } }));
+    }
+  }
+
+  const diffs = counterparty.diffs || [];
+  if(!diffs.length){
+    children.push(new d.Paragraph({ text: "Расхождений не выявлено.", spacing: { before: 200 }}));
+  } else {
+    for(const item of diffs){
+      const typ = item.diff_type;
+      const isCrit = isCriticalDiff(item, criticalSet);
+
+      children.push(new d.Paragraph({
+        text: `${clauseRefLabel(item)} — ${typ}${isCrit ? " (CRITICAL)" : ""}${item.mapped ? " (сопоставлено вручную)" : ""}`,
+        heading: d.HeadingLevel.HEADING_2,
+        spacing: { before: 250, after: 120 }
+      }));
+
+      const { leftText, rightText } = diffTexts(item, etalonClauses, clientClauses);
+
+      // Build table with 2 columns: Etalon vs Document
+      const tableRows = [];
+
+      // header row
+      tableRows.push(new d.TableRow({
+        children: [
+          new d.TableCell({
+            width: { size: 50, type: d.WidthType.PERCENTAGE },
+            children: [ new d.Paragraph({ text: "Эталон", bold: true }) ],
+          }),
+          new d.TableCell({
+            width: { size: 50, type: d.WidthType.PERCENTAGE },
+            children: [ new d.Paragraph({ text: "Документ", bold: true }) ],
+          }),
+        ],
+      }));
+
+      if(typ!=="MISSING" && typ!=="EXTRA"){
+        const parts = markSemanticParts(diffClauseText(leftText, rightText, libs.Diff), leftText, rightText);
+        markNormalizedParts(parts, ctx.normalization);
+        const leftRuns = textRunsFromDiffParts(d, parts, "left");
+        const rightRuns = textRunsFromDiffParts(d, parts, "right");
+
+        tableRows.push(new d.TableRow({
+          children: [
+            new d.TableCell({
+              width: { size: 50, type: d.WidthType.PERCENTAGE },
+              children: [ new d.Paragraph({ children: leftRuns }) ],
+            }),
+            new d.TableCell({
+              width: { size: 50, type: d.WidthType.PERCENTAGE },
+              children: [ new d.Paragraph({ children: rightRuns }) ],
+            }),
+          ],
+        }));
+      } else {
+        // no diff, just full texts
+        tableRows.push(new d.TableRow({
+          children: [
+            new d.TableCell({
+              width: { size: 50, type: d.WidthType.PERCENTAGE },
+              children: [ new d.Paragraph({ children: textRunsFromDiffParts(d, [{value:leftText}], "left") }) ],
+            }),
+            new d.TableCell({
+              width: { size: 50, type: d.WidthType.PERCENTAGE },
+              children: [ new d.Paragraph({ children: textRunsFromDiffParts(d, [{value:rightText}], "right") }) ],
+            }),
+          ],
+        }));
+      }
+
+      const table = new d.Table({
+        width: { size: 100, type: d.WidthType.PERCENTAGE },
+        rows: tableRows,
+      });
+
+      children.push(table);
+
+      if(item.similarity !== undefined && typ!=="MISSING" && typ!=="EXTRA"){
+        children.push(new d.Paragraph({ text: `Similarity: ${(item.similarity||0).toFixed(3)}`, spacing: { before: 80 } }));
+      }
+      if(item.semantic?.length){
+        const note = item.significant ? " — значимо независимо от similarity" : "";
+        children.push(new d.Paragraph({ text: `Смысловые изменения: ${semanticLabel(item)}${note}`, spacing: { before: 80 } }));
+      }
+      if(item.review){
+        const by = item.review.by ? ` (${item.review.by})` : "";
+        children.push(new d.Paragraph({ text: `Решение юриста${by}: ${reviewText(item.review)}`, spacing: { before: 80 } }));
+      }
+    }
+  }
+
+  return new d.Document({
+    sections: [{ properties: {}, children }],
+  });
+}
+
+// ---- DOCX export with Word revision marks ----
+// The document is the etalon text with w:ins / w:del revisions that turn it into
+// the counterparty's text: "Accept all" in Word gives the counterparty's version,
+// and the Review pane steps through every change. Critical clauses and failed clause rules get comments.
+
+// Number/marker a node is written with: "6.10.17 ", "б) ", "– ", "Раздел 2 "
+function refPrefix(ref, nodes){
+  const kind = nodes?.get(ref)?.kind;
+  const local = ref.slice(ref.indexOf("/") + 1);
+  if(kind === "preamble") return "";
+  if(kind === "item") return "– ";
+  if(kind === "subitem") return local.match(/\(([^()]*)\)$/)?.[1] + ") ";
+  if(kind === "appendix") return ref.replace(/^Прил\./, "Приложение ") + " ";
+  return local + " ";
+}
+
+// Client clause order with the etalon clause each one stands for (null for EXTRA)
+// placeholderPairs: [{ ref, client_ref }] of clauses matched by their {{…}} fields, equal but maybe renumbered
+function trackedSequence(diffs, etalonClauses, clientClauses, placeholderPairs){
+  const byClient = new Map();
+  for(const p of placeholderPairs || []) if(p.client_ref !== null) byClient.set(p.client_ref, { etalonRef: p.ref, diff: null });
+  const missing = [];
+  const diffByEtalon = new Map();
+  for(const d of diffs){
+    if(d.diff_type === "EXTRA") byClient.set(d.client_ref, { etalonRef: null, diff: d });
+    else if(d.diff_type === "MISSING") missing.push(d.clause_ref);
+    else if(d.client_ref) byClient.set(d.client_ref, { etalonRef: d.clause_ref, diff: d });
+    if(d.diff_type !== "EXTRA") diffByEtalon.set(d.clause_ref, d);
+  }
+  const etalonIdx = new Map(Array.from(etalonClauses.keys()).map((ref, i) => [ref, i]));
+  const pendingMissing = missing.sort((a, b) => etalonIdx.get(a) - etalonIdx.get(b));
+  const out = [];
+  for(const clientRef of clientClauses.keys()){
+    const hit = byClient.get(clientRef);
+    const etalonRef = hit ? hit.etalonRef : (etalonClauses.has(clientRef) ? clientRef : null);
+    // deleted etalon clauses go where they used to be relative to the kept ones
+    if(etalonRef !== null){
+      while(pendingMissing.length && etalonIdx.get(pendingMissing[0]) < etalonIdx.get(etalonRef)){
+        const ref = pendingMissing.shift();
+        out.push({ etalonRef: ref, clientRef: null, diff: diffByEtalon.get(ref) });
+      }
+    }
+    out.push({ etalonRef, clientRef, diff: hit?.diff || diffByEtalon.get(etalonRef) || null });
+  }
+  for(const ref of pendingMissing) out.push({ etalonRef: ref, clientRef: null, diff: diffByEtalon.get(ref) });
+  return out;
+}
+
+function criticalCommentText(entry, failed){
+  const d = entry.diff;
+  const ref = entry.etalonRef;
+  const verdict = failed.has(ref) ? "требование не выполнено" : "требует проверки";
+  if(!d) return null;
+  if(d.diff_type === "MISSING") return `Критичный ${formatRef(ref)} отсутствует у контрагента — ${verdict}.`;
+  const sim = d.similarity !== undefined ? ` (similarity ${d.similarity.toFixed(3)})` : "";
+  if(d.diff_type === "MOVED") return `Критичный ${formatRef(ref)} перенесён на место п. ${d.client_ref}${sim} — ${verdict}.`;
+  if(d.diff_type === "RENUMBERED") return `Критичный ${formatRef(ref)} перенумерован в п. ${d.client_ref}${sim} — ${verdict}.`;
+  return `Критичный ${formatRef(ref)} изменён${sim} — ${verdict}.`;
+}
+
+// Critical-list note, every clause rule that failed on this clause and the reviewer's decision
+function trackedCommentText(entry, failed, criticalSet, failuresByRef){
+  const lines = [];
+  if(entry.etalonRef !== null){
+    if(isCriticalRef(entry.etalonRef, criticalSet)){
+      const t = criticalCommentText(entry, failed);
+      if(t) lines.push(t);
+    }
+    for(const f of failuresByRef.get(entry.etalonRef) || []) lines.push("Правило: " + ruleFailureLine(f));
+  }
+  if(entry.diff?.review) lines.push("Решение юриста: " + reviewText(entry.diff.review));
+  return lines.length ? lines.join("\n") : null;
+}
+
+// ctx: { etalon, client, criticalSet, criticalMinSim, author }, libs: { docx, Diff }
+// Marks the paragraph mark as inserted or deleted, so "Accept all" leaves no empty paragraph behind.
+// docx 8 has no option for it: <w:rPr><w:ins|w:del/></w:rPr> is added to the paragraph properties.
+function trackParagraphMark(d, paragraph, kind, rev){
+  const attributes = {
+    id: { key: "w:id", value: rev.id },
+    author: { key: "w:author", value: rev.author },
+    date: { key: "w:date", value: rev.date },
+  };
+  paragraph.properties.push(new d.BuilderElement({ name: "w:rPr", children: [
+    new d.BuilderElement({ name: kind === "ins" ? "w:ins" : "w:del", attributes }),
+  ] }));
+}
+
+export function buildTrackedChangesDocx(counterparty, ctx, libs){
+  const d = libs.docx;
+  const { client, criticalSet } = ctx;
+  // filled in as the comparison did: a matched {{…}} field is no revision
+  const etalon = { ...ctx.etalon, clauses: filledEtalon(ctx.etalon.clauses, client.clauses, counterparty.placeholders) };
+  const author = ctx.author || "223-ФЗ сравнение";
+  const date = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+  let revId = 0;
+  const comments = [];
+  const failed = new Set(failedCriticalRefs(counterparty.diffs, criticalSet, ctx.criticalMinSim));
+  const failuresByRef = new Map();
+  for(const f of counterparty.rule_failures || []){
+    if(!failuresByRef.has(f.ref)) failuresByRef.set(f.ref, []);
+    failuresByRef.get(f.ref).push(f);
+  }
+
+  function runs(text, kind){
+    const lines = (text || "").split("\n");
+    return lines.filter((t, i) => t || i > 0).map((t, i) => {
+      const o = { text: t, ...(i > 0 ? { break: 1 } : {}) };
+      if(kind === "ins") return new d.InsertedTextRun({ ...o, id: ++revId, author, date });
+      if(kind === "del") return new d.DeletedTextRun({ ...o, id: ++revId, author, date });
+      return new d.TextRun(o);
+    });
+  }
+
+  const children = [];
+  for(const entry of trackedSequence(counterparty.diffs, etalon.clauses, client.clauses, counterparty.placeholders)){
+    const etPrefix = entry.etalonRef !== null ? refPrefix(entry.etalonRef, etalon.nodes) : "";
+    const clPrefix = entry.clientRef !== null ? refPrefix(entry.clientRef, client.nodes) : "";
+    const etText = entry.etalonRef !== null ? etalon.clauses.get(entry.etalonRef) || "" : "";
+    const clText = entry.clientRef !== null ? client.clauses.get(entry.clientRef) || "" : "";
+    let body;
+    // a whole clause added or dropped: its paragraph mark is a revision too
+    const wholeKind = entry.clientRef === null ? "del" : entry.etalonRef === null ? "ins" : null;
+    if(wholeKind === "del") body = runs(etPrefix + etText, "del");
+    else if(wholeKind === "ins") body = runs(clPrefix + clText, "ins");
+    else {
+      body = etPrefix === clPrefix ? runs(etPrefix) : [ ...runs(etPrefix, "del"), ...runs(clPrefix, "ins") ];
+      for(const p of diffClauseText(etText, clText, libs.Diff)){
+        body.push(...runs(p.value, p.added ? "ins" : p.removed ? "del" : null));
+      }
+    }
+
+    const commentText = trackedCommentText(entry, failed, criticalSet, failuresByRef);
+    if(commentText){
+      const id = comments.length;
+      comments.push({ id, author, date: new Date(), children: commentText.split("\n").map(text => new d.Paragraph({ text })) });
+      body = [ new d.CommentRangeStart(id), ...body, new d.CommentRangeEnd(id),
+        new d.TextRun({ children: [ new d.CommentReference(id) ] }) ];
+    }
+    const paragraph = new d.Paragraph({ children: body });
+    if(wholeKind) trackParagraphMark(d, paragraph, wholeKind, { id: ++revId, author, date });
+    children.push(paragraph);
+  }
+
+  return new d.Document({
+    comments: { children: comments },
+    sections: [{ properties: {}, children }],
+  });
+}
+
+// ---- summary tables (all counterparties) ----
+const XLSX_CELL_MAX = 32767;
+export const DIFF_TYPES = ["MISSING", "CHANGED", "EXTRA", "RENUMBERED", "MOVED"];
+
+function cellText(s){
+  const t = s || "";
+  return t.length > XLSX_CELL_MAX ? t.slice(0, XLSX_CELL_MAX - 1) + "…" : t;
+}
+
+// ctx: { criticalSet, criticalMinSim, clauseMaps(result) → { etalon, client }|null (the clause texts its diffs refer to) }
+export function counterpartyRows(results, ctx){
+  const metaKeys = META_FIELDS.filter(f => f[0] !== "org");
+  const header = ["№", "Контрагент", ...metaKeys.map(f => f[1]), "Статус", "Код статуса", ...DIFF_TYPES, "Всего расхождений",
+    "Не пройдено критичных", "Критичные пункты", "Нарушенные правила", "Причина",
+    "Статус (автоматически)", "Ручной статус: причина", "Допустимых отклонений", "Нарушений (юрист)", "Редакция эталона", "Файл"];
+  // one column per template field, in the order the fields first appear
+  const fields = [...new Set(results.flatMap(r => (r.placeholders || []).map(p => p.name)))];
+  header.push(...fields.map(name => `Поле ${name}`));
+  const rows = results.map((r, idx) => {
+    const values = new Map(placeholderValues(r));
+    const counts = DIFF_TYPES.map(t => r.diffs.filter(d => d.diff_type === t).length);
+    const failed = failedCriticalRefs(r.diffs, ctx.criticalSet, ctx.criticalMinSim);
+    const decided = (decision) => r.diffs.filter(d => d.review?.decision === decision).length;
+    return [idx+1, counterpartyTitle(r), ...metaKeys.map(f => r.meta?.[f[0]] || ""), statusText(r.status), r.status, ...counts, r.diffs.length,
+      failed.length, failed.join(", "), cellText((r.rule_failures || []).map(ruleFailureLine).join("; ")),
+      r.review_reason || "", statusText(r.auto_status ?? r.status), r.override?.reason || "",
+      decided("accepted"), decided("violation"), editionText(r.edition), r.source_file,
+      ...fields.map(name => cellText(values.get(name) || ""))];
+  });
+  return [header, ...rows];
+}
+
+export function diffRows(results, ctx){
+  const header = ["Контрагент", "Пункт (эталон)", "Пункт (документ)", "Тип", "Критичный", "Similarity",
+    "Смысловые изменения", "Решение", "Комментарий", "Текст эталона", "Текст документа", "Файл"];
+  const rows = [];
+  for(const r of results){
+    const maps = ctx.clauseMaps?.(r);
+    for(const d of r.diffs){
+      const { leftText, rightText } = diffTexts(d, maps?.etalon, maps?.client);
+      rows.push([
+        counterpartyTitle(r),
+        d.diff_type === "EXTRA" ? "" : d.clause_ref,
+        d.diff_type === "MISSING" ? "" : (d.client_ref ?? d.clause_ref),
+        d.diff_type,
+        isCriticalDiff(d, ctx.criticalSet) ? "да" : "",
+        d.similarity !== undefined ? Number(d.similarity.toFixed(3)) : "",
+        semanticLabel(d),
+        decisionText(d.review?.decision),
+        cellText(d.review?.comment || ""),
+        cellText(d.diff_type === "EXTRA" ? "" : leftText),
+        cellText(d.diff_type === "MISSING" ? "" : rightText),
+        r.source_file,
+      ]);
+    }
+  }
+  return [header, ...rows];
+}
+
+// ";"-separated with BOM: what Excel with Russian locale opens correctly.
+// Text from documents starting with = + - @ would run as a formula in Excel: it gets a leading "'".
+export function toCsv(rows){
+  const esc = (v) => {
+    let t = String(v ?? "");
+    if(typeof v === "string" && /^[=+\-@\t\r]/.test(t)) t = "'" + t;
+    return /[";\r\n]/.test(t) ? `"${t.replaceAll('"', '""')}"` : t;
+  };
+  return "\ufeff" + rows.map(r => r.map(esc).join(";")).join("\r\n");
+}
+
+// ---- clause × counterparty matrix ----
+// What happened to every etalon clause in every document. cell.kind:
+//   "same", "renumbered" (same text under another number), "changed", "missing",
+//   "absent" (intentionally, per the clause mapping), "na" (the document has no clauses to compare).
+//   With several editions a document is only compared with its own, and a clause that edition lacks is "na".
+// ctx.clauseMaps as in diffRows(), ctx.etalonFor(result) → clauses of the edition it was compared with.
+// Returns [{ ref, cells: [{ kind, similarity, diff }], deviating }] with the clauses of all those editions
+// in etalon order, deviating = number of documents where the clause is changed or missing.
+export const MATRIX_KINDS = ["same", "renumbered", "changed", "missing", "absent", "na"];
+
+// Refs of several editions in one order: a clause only some editions have goes after the one it follows there
+function unionRefs(lists){
+  const out = [];
+  for(const list of lists){
+    let at = 0;
+    for(const ref of list){
+      const i = out.indexOf(ref);
+      if(i >= 0){ at = i + 1; continue; }
+      out.splice(at++, 0, ref);
+    }
+  }
+  return out;
+}
+
+export function clauseMatrix(results, ctx){
+  const perResult = results.map(r => {
+    const byRef = new Map();
+    // a clause joined by a mapping ("4.2+4.3") stands for each of its parts
+    for(const d of r.diffs) if(d.diff_type !== "EXTRA") for(const ref of d.clause_ref.split("+")) byRef.set(ref, d);
+    const etalon = ctx.etalonFor(r);
+    return { byRef, etalon, absent: new Set(r.absent || []), compared: !!ctx.clauseMaps?.(r)?.client.size };
+  });
+  const refs = unionRefs([...new Set(perResult.map(x => x.etalon).filter(Boolean))].map(m => Array.from(m.keys())));
+  return refs.map(ref => {
+    const cells = perResult.map(({ byRef, etalon, absent, compared }) => {
+      if(!compared || !etalon?.has(ref)) return { kind: "na" };
+      if(absent.has(ref)) return { kind: "absent" };
+      const d = byRef.get(ref);
+      if(!d) return { kind: "same", similarity: 1 };
+      let kind = "changed";
+      if(d.diff_type === "MISSING") kind = "missing";
+      else if(d.diff_type !== "CHANGED" && !d.changed) kind = "renumbered";
+      return { kind, similarity: d.similarity, diff: d };
+    });
+    return { ref, cells, deviating: cells.filter(c => c.kind === "changed" || c.kind === "missing").length };
+  });
+}
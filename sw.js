@@ -0,0 +1,107 @@
+// sw.js (service worker)
+// Offline mode: the page, its modules and vendor/ (see fetch-vendor.mjs) are precached and
+// served from the cache first, so the tool opens and compares files with no network at all.
+// Protocol with app.js (postMessage):
+//   in:  { type: "check" }  — compare the cached files with the server (skipped when offline)
+//   out: { type: "stale", files: [url] } — cached copies that differ from the server
+//   in:  { type: "update" } — download everything again
+//   out: { type: "updated" } | { type: "update-failed", message }
+// The cache is named after the app version: "npm version" writes it here from package.json, so a
+// deploy changes sw.js, the browser installs it, and activate drops the previous version's cache.
+const VERSION = "1.0.0";
+const CACHE = `223fz-${VERSION}`;
+const APP_FILES = [
+  "./",
+  "index.html",
+  "styles.css",
+  "app.js",
+  "core.js",
+  "report.js",
+  "worker.js",
+  "manifest.webmanifest",
+  "icon.svg",
+];
+
+// The app files always; vendor/ only when its list is there, else error says why it is left out
+async function precacheList(){
+  try{
+    const res = await fetch("vendor/files.json", { cache: "no-cache" });
+    if(!res.ok) throw new Error(`HTTP ${res.status}`);
+    return { urls: [...APP_FILES, ...(await res.json()).map(f => "vendor/" + f)], error: null };
+  }catch(err){
+    return { urls: APP_FILES, error: `vendor/files.json: ${err?.message || err} (запустите node fetch-vendor.mjs)` };
+  }
+}
+
+// Resolves to the precacheList() error, if any
+async function precache(){
+  const cache = await caches.open(CACHE);
+  const { urls, error } = await precacheList();
+  await cache.addAll(urls.map(url => new Request(url, { cache: "reload" })));
+  return error;
+}
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(precache().then((error) => {
+    if(error) console.warn(error);
+    return self.skipWaiting();
+  }));
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil((async () => {
+    for(const key of await caches.keys()) if(key !== CACHE) await caches.delete(key);
+    await self.clients.claim();
+  })());
+});
+
+async function fromCache(req){
+  const cache = await caches.open(CACHE);
+  return (await cache.match(req, { ignoreSearch: true })) || fetch(req);
+}
+
+self.addEventListener("fetch", (e) => {
+  const req = e.request;
+  if(req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+  e.respondWith(fromCache(req));
+});
+
+// Same file on the server: compared by ETag, else Last-Modified and size
+function validator(res){
+  const etag = res.headers.get("etag");
+  if(etag) return etag.replace(/^W\//, "");
+  const modified = res.headers.get("last-modified");
+  return modified ? `${modified}|${res.headers.get("content-length") || ""}` : null;
+}
+
+async function staleFiles(){
+  const cache = await caches.open(CACHE);
+  const stale = [];
+  for(const req of await cache.keys()){
+    const cached = await cache.match(req);
+    const res = await fetch(req.url, { method: "HEAD", cache: "no-cache" });
+    if(!res.ok){
+      stale.push(req.url);
+      continue;
+    }
+    const was = validator(cached);
+    const now = validator(res);
+    if(was && now && was !== now) stale.push(req.url);
+  }
+  return stale;
+}
+
+self.addEventListener("message", (e) => {
+  const reply = (msg) => e.source?.postMessage(msg);
+  if(e.data?.type === "check"){
+    e.waitUntil(staleFiles().then(
+      (files) => { if(files.length) reply({ type: "stale", files }); },
+      () => {} // offline: the cache is all there is
+    ));
+  } else if(e.data?.type === "update"){
+    e.waitUntil(precache().then(
+      (error) => reply(error ? { type: "update-failed", message: error } : { type: "updated" }),
+      (err) => reply({ type: "update-failed", message: err?.message || String(err) })
+    ));
+  }
+});
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseClauseTree } from "../core.js";
+
+const refs = (text) => [...parseClauseTree(text).clauses.keys()];
+
+test("appendix headings: number, standalone letter, bare word", () => {
+  assert.deepEqual(refs("1. Текст\nПриложение № 2. Форма заявки\n1. Поле"), ["1", "Прил.2", "Прил.2/1"]);
+  assert.deepEqual(refs("Приложение 3 к Положению\n1. Поле"), ["Прил.3", "Прил.3/1"]);
+  assert.deepEqual(refs("Приложение А\n1. Поле"), ["Прил.А", "Прил.А/1"]);
+  assert.deepEqual(refs("Приложение Б. Форма договора\n1. Поле"), ["Прил.Б", "Прил.Б/1"]);
+  assert.deepEqual(refs("Приложение\n1. Поле"), ["Прил.1", "Прил.1/1"]);
+});
+
+test("\"Приложение к …\" is body text, not an appendix \"к\"", () => {
+  const tree = parseClauseTree("Приложение к приказу от 12.03.2024 № 5\n1. Общие положения\n1.1. Текст\n1.2. Текст");
+  assert.deepEqual([...tree.clauses.keys()], ["Преамбула", "1", "1.1", "1.2"]);
+  assert.ok(![...tree.nodes.values()].some(n => n.kind === "appendix"));
+  assert.deepEqual(refs("1. Текст\nПриложение к настоящему Положению содержит формы.\n2. Текст"), ["1", "2"]);
+});
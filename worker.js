@@ -0,0 +1,35 @@
+// worker.js (module worker)
+// Runs clause parsing and comparison off the main thread. Messages:
+//   in:  { id, type: "parse", payload: { text, ocrPages } }
+//        { id, type: "compare", payload: { etalon, client: { text, clauses, diagnostics, mapping }, opts } }
+//        (or payload.editions: [{ source_file, clauses, outdated }] instead of etalon to pick the best fit)
+//   out: { id, type: "progress", done, total } | { id, type: "done", result } | { id, type: "error", message }
+import { parseDocumentText, evaluateAgainstEditions, evaluateCounterparty } from "./core.js";
+
+const PROGRESS_EVERY_MS = 100;
+
+self.onmessage = (e) => {
+  const { id, type, payload } = e.data || {};
+  try{
+    let result;
+    if(type === "parse"){
+      result = parseDocumentText(payload.text, payload.ocrPages);
+    } else if(type === "compare"){
+      let last = 0;
+      const onProgress = (done, total) => {
+        const now = Date.now();
+        if(done < total && now - last < PROGRESS_EVERY_MS) return;
+        last = now;
+        self.postMessage({ id, type: "progress", done, total });
+      };
+      result = payload.editions
+        ? evaluateAgainstEditions(payload.editions, payload.client, payload.opts, onProgress)
+        : evaluateCounterparty(payload.etalon, payload.client, payload.opts, onProgress);
+    } else {
+      throw new Error("Unknown job type: " + type);
+    }
+    self.postMessage({ id, type: "done", result });
+  }catch(err){
+    self.postMessage({ id, type: "error", message: err?.message || String(err) });
+  }
+};